@@ -0,0 +1,26 @@
+// Writing the cpu solver out as PNG frames from node, for headless runs, e.g.
+//
+// const solver = new FluidSolver({ size: 100 });
+// for (let k = 0; k < 300; k++) {
+//     solver.addDensity(50, 90, 20);
+//     solver.step(1 / 60);
+//     writeFrame(solver, frameName('out/smoke', k), { width: 400, height: 400 });
+// }
+//
+// (frameName being from common/capture.js) which ffmpeg can turn into a video with
+// -framerate 60 -i out/smoke-%05d.png. The options are the ones solverPixels in common/capture.js
+// takes, plus width and height, a pixel a cell by default.
+// Node only, it needs fs and zlib.
+
+import { writeFileSync } from 'node:fs';
+import { deflateSync } from 'node:zlib';
+import { encodePNG } from '../common/png.js';
+import { solverPixels } from '../common/capture.js';
+
+function writeFrame(solver, path, options = {}) {
+    const { width = solver.n, height = solver.n } = options;
+    const pixels = solverPixels(solver, width, height, options);
+    writeFileSync(path, encodePNG(width, height, pixels, deflateSync));
+}
+
+export { writeFrame };
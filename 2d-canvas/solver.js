@@ -0,0 +1,913 @@
+// The cpu side solver from the jos stam paper, pulled out of fluid-sim-canvas.html so it
+// doesn't need a document or a canvas. That means it can also be run headlessly, e.g. from node.
+//
+// some other references
+// https://github.com/Janh2978/Real_time_Fluid_Simulation
+//
+// It's also the cpu backend for common/pipeline.js, so fields are referred to by name ('x', 'u', ...)
+// the same way gl.js refers to its textures.
+
+import { step } from '../common/pipeline.js';
+import { PRESSURE_SOLVERS } from '../common/pressure.js';
+import { ADVECTION_SCHEMES } from '../common/advection.js';
+import { DECAY_MODELS } from '../common/decay.js';
+import { normalizeBuoyancy } from '../common/buoyancy.js';
+import { WALLS } from '../common/obstacles.js';
+import { EDGES, normalizeEdges, hasOpenEdge } from '../common/edges.js';
+import { DEFAULT_BRUSH, normalizeBrush, strokeOffset, brushWeight } from '../common/brush.js';
+import { emitterVelocity, emitterWeight } from '../common/emitters.js';
+
+// The fields the pipeline refers to as a whole that are kept in more than one array, the velocity in
+// u, v and the dye in r, g, b.
+const VECTORS = {
+    uv: ['u', 'v'],
+    uv0: ['u0', 'v0'],
+    dye: ['r', 'g', 'b'],
+    dye0: ['r0', 'g0', 'b0'],
+    uvBack: ['uBack', 'vBack'],
+    dyeBack: ['rBack', 'gBack', 'bBack'],
+};
+
+class FluidSolver {
+    constructor(options = {}) {
+        const {
+            // cell size, this is the 'N' throughout the paper.
+            size = 100,
+            // Diffuse and viscosity constants.
+            diffusion = 0,
+            viscosity = 0,
+            // How quickly to make the thing dissipate, see common/decay.js. With none, all the densities
+            // we introduce will stick around and be moved along the force field, meaning nothing will
+            // ever fade away in the simulation. Simulating smoke definitely requires some.
+            decay = { model: DECAY_MODELS.None },
+            // Which pressure solver to use and when to stop, see common/pressure.js.
+            pressure = {},
+            // What happens at each edge of the grid, see common/edges.js. Solid all around by default.
+            edges = {},
+            // Vorticity confinement epsilon, see confine in common/pipeline.js. 0 is off.
+            confinement = 0,
+            // How to advect, see common/advection.js.
+            advection = ADVECTION_SCHEMES.SemiLagrangian,
+            // Heat rising and density sinking, see common/buoyancy.js. Off by default.
+            buoyancy = {},
+        } = options;
+
+        this.n = size;
+        // cell size accounting for the edge boundary cells added
+        this.size = size + 2;
+        this.diffusion = diffusion;
+        this.viscosity = viscosity;
+        this.decay = decay;
+        this.confinement = confinement;
+        this.advection = advection;
+        this.buoyancy = normalizeBuoyancy(buoyancy);
+        this.pressure = { solver: PRESSURE_SOLVERS.GaussSeidel, ...pressure };
+        this.pressureSolvers = [
+            PRESSURE_SOLVERS.GaussSeidel,
+            PRESSURE_SOLVERS.RedBlack,
+            PRESSURE_SOLVERS.ConjugateGradient,
+        ];
+        // How the pressure solves went on the last step.
+        this.stats = null;
+
+        // assume <u[i], v[i]> is current and <u0[i], v0[i]> is the previous step.
+        // u is the horizontal component of the velocity field, and v is the vertical.
+        // x, x0 are density arrays, where density is a scalar density referenced in the
+        // paper as dens[size] and dens_prev[size]. The pipeline refers to <u, v> and <u0, v0>
+        // as 'uv' and 'uv0', see VECTORS.
+        // r, g, b and r0, g0, b0 are the dye, the density times the colour it went in with. 'dye'
+        // and 'dye0' to the pipeline.
+        // p and div are the pressure and divergence for the projection, curl the vorticity for
+        // confining it.
+        // t and t0 are the temperature, relative to the ambient, see common/buoyancy.js.
+        // the *Back fields are for the backward pass of the better advection schemes, see
+        // common/advection.js.
+        this.fields = {
+            u: null,
+            u0: null,
+            v: null,
+            v0: null,
+            x: null,
+            x0: null,
+            r: null,
+            g: null,
+            b: null,
+            r0: null,
+            g0: null,
+            b0: null,
+            p: null,
+            div: null,
+            curl: null,
+            t: null,
+            t0: null,
+            xBack: null,
+            tBack: null,
+            uBack: null,
+            vBack: null,
+            rBack: null,
+            gBack: null,
+            bBack: null,
+        };
+
+        // Scratch space for the conjugate gradient solver, only allocated if it gets used.
+        this.scratch = null;
+
+        // Solid cells, see common/obstacles.js. solidCells lists their indices so setBoundary
+        // doesn't need to go through the whole grid to find them.
+        this.obstacles = null;
+        this.solidCells = null;
+        this.wall = WALLS.NoSlip;
+
+        this.edges = normalizeEdges(edges);
+
+        this.setupFields();
+    }
+
+    setupFields() {
+        // amount of cells we need to allocate. we add 2 to account
+        // for boundary cells in the left, top, bottom, and right of
+        // the grid.
+        const cells = this.size ** 2;
+        Object.keys(this.fields).forEach(k => {
+            this.fields[k] = new Float32Array(cells);
+        });
+    }
+
+    field(name) {
+        const field = this.fields[name];
+        if (!field) {
+            throw new Error(`Unknown field ${name}`);
+        }
+        return field;
+    }
+
+    components(name) {
+        // the arrays behind a field, both of them for velocity.
+        if (VECTORS[name]) {
+            return VECTORS[name].map(k => this.fields[k]);
+        }
+        return [this.field(name)];
+    }
+
+    get density() {
+        return this.fields.x;
+    }
+
+    get velocity() {
+        return { u: this.fields.u, v: this.fields.v };
+    }
+
+    get dye() {
+        return { r: this.fields.r, g: this.fields.g, b: this.fields.b };
+    }
+
+    IX(i, j) {
+        return i + j * this.size;
+    }
+
+    addDensity(i, j, amount) {
+        // white dye.
+        const index = this.IX(i, j);
+        this.fields.x[index] += amount;
+        this.fields.r[index] += amount;
+        this.fields.g[index] += amount;
+        this.fields.b[index] += amount;
+    }
+
+    addVelocity(i, j, u, v) {
+        const index = this.IX(i, j);
+        this.fields.u[index] += u;
+        this.fields.v[index] += v;
+    }
+
+    reset() {
+        Object.values(this.fields).forEach(f => f.fill(0));
+    }
+
+    setField(name, data) {
+        // data is a float per cell, or u, v next to each other for velocity and r, g, b for dye, the
+        // same as gl.js.
+        const arrays = this.components(name);
+        arrays.forEach((array, c) => {
+            for (let i = 0; i < array.length; i++) {
+                array[i] = data[i * arrays.length + c];
+            }
+        });
+    }
+
+    resize(size) {
+        // size includes the boundary cells, like this.size. starts over from nothing at the new
+        // size, obstacles included.
+        this.n = size - 2;
+        this.size = size;
+        this.scratch = null;
+        this.setupFields();
+        this.setObstacles(null, this.wall);
+    }
+
+    setObstacles(mask, wall = WALLS.NoSlip) {
+        this.wall = wall;
+        if (!mask || !mask.some(m => m > 0.5)) {
+            this.obstacles = null;
+            this.solidCells = null;
+            return;
+        }
+        this.obstacles = Float32Array.from(mask);
+        const cells = [];
+        for (let j = 1; j <= this.n; j++) {
+            for (let i = 1; i <= this.n; i++) {
+                if (mask[this.IX(i, j)] > 0.5) {
+                    cells.push(this.IX(i, j));
+                }
+            }
+        }
+        this.solidCells = Int32Array.from(cells);
+    }
+
+    setEdges(edges) {
+        this.edges = normalizeEdges(edges);
+    }
+
+    isSolid(index) {
+        return this.obstacles !== null && this.obstacles[index] > 0.5;
+    }
+
+    solveLinear(x, x0, a, c, parity) {
+        // one gauss-seidel relaxation sweep to solve for x[i] from x0[i]. gauss-seidel
+        // reuses the values it already updated this sweep, so it converges faster than
+        // the jacobi iterations the gpu has to do.
+        // with a parity, only the cells where (i + j) % 2 == parity get updated, which is
+        // half of a red-black sweep.
+        const x0s = this.components(x0);
+        this.components(x).forEach((xf, k) => this.solveLinearArray(xf, x0s[k], a, c, parity));
+    }
+
+    solveLinearArray(xf, x0f, a, c, parity) {
+        const { n, size } = this;
+        const redBlack = parity === 0 || parity === 1;
+        // notice that we only do this on non-boundary cells so we can sample the boundary.
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                const index = this.IX(i, j);
+                if ((redBlack && (i + j) % 2 !== parity) || this.isSolid(index)) {
+                    continue;
+                }
+                xf[index] = (x0f[index] + a * (xf[index - 1] + xf[index + 1] + xf[index - size] + xf[index + size])) * (1 / c);
+            }
+        }
+    }
+
+    residual(x, x0, a, c) {
+        // how far x is from solving the system, relative to x0.
+        const { n, size } = this;
+        const xf = this.field(x);
+        const x0f = this.field(x0);
+        let rr = 0;
+        let bb = 0;
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                const index = this.IX(i, j);
+                if (this.isSolid(index)) {
+                    continue;
+                }
+                const r = x0f[index] + a * (xf[index - 1] + xf[index + 1] + xf[index - size] + xf[index + size]) - c * xf[index];
+                rr += r * r;
+                bb += x0f[index] * x0f[index];
+            }
+        }
+        return bb === 0 ? Math.sqrt(rr) : Math.sqrt(rr / bb);
+    }
+
+    conjugateGradient(x, x0, boundary, a, c, tolerance, maxIterations) {
+        // preconditioned conjugate gradient, e.g. https://www.cs.ubc.ca/~rbridson/fluidsimulation/
+        // the matrix is never built, applying it is just setBoundary + the same stencil solveLinear uses.
+        const { n } = this;
+        const xf = this.field(x);
+        const b = this.field(x0);
+        if (!this.scratch) {
+            const cells = this.size ** 2;
+            this.scratch = {
+                r: new Float32Array(cells),
+                z: new Float32Array(cells),
+                d: new Float32Array(cells),
+                q: new Float32Array(cells),
+            };
+        }
+        const { r, z, d, q } = this.scratch;
+
+        const dot = (p, q) => {
+            let sum = 0;
+            for (let i = 1; i <= n; i++) {
+                for (let j = 1; j <= n; j++) {
+                    const index = this.IX(i, j);
+                    sum += p[index] * q[index];
+                }
+            }
+            return sum;
+        };
+
+        // q = Ax. solid cells aren't part of the system, so they stay 0 in everything conjugate
+        // gradient keeps around. a solid neighbour counts as having the same value as the cell
+        // itself. setBoundary averages several fluid neighbours instead, but that isn't symmetric
+        // and conjugate gradient falls apart without it.
+        const apply = (target, v) => {
+            const { size } = this;
+            this.setBoundaryArray(v, boundary);
+            const at = (index, neighbour) => this.isSolid(neighbour) ? v[index] : v[neighbour];
+            for (let i = 1; i <= n; i++) {
+                for (let j = 1; j <= n; j++) {
+                    const index = this.IX(i, j);
+                    if (this.isSolid(index)) {
+                        target[index] = 0;
+                        continue;
+                    }
+                    target[index] = c * v[index] - a * (at(index, index - 1) + at(index, index + 1) + at(index, index - size) + at(index, index + size));
+                }
+            }
+        };
+
+        // z = M^-1 r, where M is a forward then backward gauss-seidel sweep. both sweeps see the
+        // boundary cells as 0 so that M stays symmetric, which conjugate gradient needs.
+        const precondition = () => {
+            const { size } = this;
+            z.fill(0);
+            const relax = (i, j) => {
+                const index = this.IX(i, j);
+                if (this.isSolid(index)) {
+                    return;
+                }
+                z[index] = (r[index] + a * (z[index - 1] + z[index + 1] + z[index - size] + z[index + size])) * (1 / c);
+            };
+            for (let i = 1; i <= n; i++) {
+                for (let j = 1; j <= n; j++) {
+                    relax(i, j);
+                }
+            }
+            for (let i = n; i >= 1; i--) {
+                for (let j = n; j >= 1; j--) {
+                    relax(i, j);
+                }
+            }
+        };
+
+        const bb = dot(b, b);
+        if (bb === 0) {
+            this.setBoundaryArray(xf, boundary);
+            return { iterations: 0, residual: 0 };
+        }
+
+        apply(q, xf);
+        r.fill(0);
+        let mean = 0;
+        let cells = 0;
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                const index = this.IX(i, j);
+                if (this.isSolid(index)) {
+                    continue;
+                }
+                r[index] = b[index] - q[index];
+                mean += r[index];
+                cells++;
+            }
+        }
+        // with walls all around, adding a constant to the pressure doesn't change anything, so
+        // there's only a solution if the divergence adds up to 0. it doesn't quite, especially
+        // around obstacles, and conjugate gradient blows up chasing the difference. take it out.
+        // an open edge pins the pressure down, so then there's nothing to take out.
+        mean = hasOpenEdge(this.edges) ? 0 : mean / cells;
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                const index = this.IX(i, j);
+                if (!this.isSolid(index)) {
+                    r[index] -= mean;
+                }
+            }
+        }
+        precondition();
+        d.set(z);
+
+        let rz = dot(r, z);
+        let residual = Math.sqrt(dot(r, r) / bb);
+        let iterations = 0;
+        while (iterations < maxIterations && residual > tolerance) {
+            apply(q, d);
+            const dq = dot(d, q);
+            if (!(dq > 0)) {
+                break;
+            }
+            const alpha = rz / dq;
+            for (let i = 1; i <= n; i++) {
+                for (let j = 1; j <= n; j++) {
+                    const index = this.IX(i, j);
+                    xf[index] += alpha * d[index];
+                    r[index] -= alpha * q[index];
+                }
+            }
+            iterations++;
+            residual = Math.sqrt(dot(r, r) / bb);
+
+            precondition();
+            const rzNext = dot(r, z);
+            if (!(rz > 0)) {
+                break;
+            }
+            const beta = rzNext / rz;
+            rz = rzNext;
+            for (let i = 1; i <= n; i++) {
+                for (let j = 1; j <= n; j++) {
+                    const index = this.IX(i, j);
+                    d[index] = z[index] + beta * d[index];
+                }
+            }
+        }
+
+        this.setBoundaryArray(xf, boundary);
+        return { iterations, residual };
+    }
+
+    setBoundary(target, boundary) {
+        // reordered:
+        // void set_bnd ( int N, int b, float * x )
+        // N is row and cell dimension, which we use CSB for
+        // b is the boundary integer, 0 for scalars, 1 for velocity and 3 for pressure. the
+        // paper does u and v separately with 1 and 2, which is what setBoundaryArray still does.
+        // x is the target array
+
+        /*
+         "We assume that the fluid is contained in a box with solid walls: no flow should
+         exit the walls. This simply means that the horizontal component of the velocity
+         should be zero on the vertical walls, while the vertical component of the velocity
+         should be zero on the horizontal walls. For the density and other fields considered
+         in the code we simply assume continuity. The following code implements these conditions."
+
+         "Other boundary conditions are of course possible. For example, we could assume
+         that the fluid wraps around itself: a flow that exits one wall simply reenters
+         the opposite one. Changing the above to handle this case is fairly straightforward
+         and is left as an exercise for the reader. Note that in this case the advect()
+         routine should also be modified. Another possibility is to have a fixed velocity
+         on some parts of the boundary to simulate an inflow like that found in a wind
+         tunnel. We encourage the reader to explore different boundary conditions."
+        */
+        if (boundary === 1) {
+            const [u, v] = this.components(target);
+            this.setBoundaryArray(u, 1);
+            this.setBoundaryArray(v, 2);
+            return;
+        }
+        this.components(target).forEach(x => this.setBoundaryArray(x, boundary));
+    }
+
+    edgeValue(edge, b, normal, inside, opposite) {
+        // what a boundary cell gets, from the cell just inside it and the one just inside the
+        // opposite edge. normal is the velocity component going through this edge (1 for u on
+        // the left and right, 2 for v on the bottom and top).
+        switch (edge.type) {
+        case EDGES.Periodic:
+            return opposite;
+        case EDGES.Open:
+            return b === 3 ? -inside : inside;
+        case EDGES.Inflow:
+            if (b === 1) {
+                return edge.u;
+            }
+            if (b === 2) {
+                return edge.v;
+            }
+            return inside;
+        default:
+            return b === normal ? -inside : inside;
+        }
+    }
+
+    setBoundaryArray(x, b) {
+        const { n, edges } = this;
+        const IX = (i, j) => this.IX(i, j);
+
+        for (let i = 1; i <= n; i++) {
+            // left, right most columns
+            x[IX(0, i)] = this.edgeValue(edges.left, b, 1, x[IX(1, i)], x[IX(n, i)]);
+            x[IX(n + 1, i)] = this.edgeValue(edges.right, b, 1, x[IX(n, i)], x[IX(1, i)]);
+
+            // top, bottom most rows
+            x[IX(i, 0)] = this.edgeValue(edges.bottom, b, 2, x[IX(i, 1)], x[IX(i, n)]);
+            x[IX(i, n + 1)] = this.edgeValue(edges.top, b, 2, x[IX(i, n)], x[IX(i, 1)]);
+        }
+
+        // corners
+        x[IX(0, 0)] = 0.5 * (x[IX(1, 0)] + x[IX(0, 1)]);
+        x[IX(0, n + 1)] = 0.5 * (x[IX(1, n + 1)] + x[IX(0, n)]);
+        x[IX(n + 1, 0)] = 0.5 * (x[IX(n, 0)] + x[IX(n + 1, 1)]);
+        x[IX(n + 1, n + 1)] = 0.5 * (x[IX(n, n + 1)] + x[IX(n + 1, n)]);
+
+        if (this.solidCells) {
+            this.setObstacleBoundary(x, b);
+        }
+    }
+
+    setObstacleBoundary(x, b) {
+        // solid cells take their value from the fluid cells next to them, the same way the edge
+        // cells do above. scalars are continuous. the velocity component going into the wall
+        // (u for a fluid cell to the left or right, v for one above or below) is reflected, and
+        // the one going along the wall is reflected too for no-slip, or kept for free-slip.
+        const { size, obstacles, wall } = this;
+        const neighbours = [-1, 1, -size, size];
+        for (let k = 0; k < this.solidCells.length; k++) {
+            const index = this.solidCells[k];
+            let sum = 0;
+            let count = 0;
+            for (let l = 0; l < 4; l++) {
+                const neighbour = index + neighbours[l];
+                if (obstacles[neighbour] > 0.5) {
+                    continue;
+                }
+                const horizontal = l < 2;
+                let sign = 1;
+                if (b === 1) {
+                    sign = horizontal || wall === WALLS.NoSlip ? -1 : 1;
+                }
+                if (b === 2) {
+                    sign = !horizontal || wall === WALLS.NoSlip ? -1 : 1;
+                }
+                sum += sign * x[neighbour];
+                count++;
+            }
+            x[index] = count > 0 ? sum / count : 0;
+        }
+    }
+
+    copyPixels(source, target) {
+        if (source === target) {
+            throw new Error("Can't copy to self.");
+        }
+        const sources = this.components(source);
+        this.components(target).forEach((t, k) => t.set(sources[k]));
+    }
+
+    clear(target) {
+        this.components(target).forEach(t => t.fill(0));
+    }
+
+    advect(dt0, target, source, uv) {
+        // reordered:
+        // void advect ( int N, int b, float * d, float * d0, float * u, float * v, float dt )
+        // d and d0 are the target and source arrays, both components of them for velocity.
+        // uv is the velocity to go along (not necessarily fields.u, fields.v)
+        // dt0 is the delta time aka time step, scaled by N.
+
+        // uses a 'simple linear backtrace' to compute density diffusion
+        const { n } = this;
+        const IX = (i, j) => this.IX(i, j);
+        const ds = this.components(target);
+        const d0s = this.components(source);
+        const from = this.backtrace(dt0, uv);
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                if (this.isSolid(IX(i, j))) {
+                    // filled in by setBoundary.
+                    ds.forEach(d => d[IX(i, j)] = 0);
+                    continue;
+                }
+                // x and y vector components.
+                const [x, y] = from(i, j);
+
+                // int cast
+                const i0 = x | 0;
+                const i1 = i0 + 1;
+
+                // int cast
+                const j0 = y | 0;
+                const j1 = j0 + 1;
+
+                const s1 = x - i0;
+                const s0 = 1 - s1;
+
+                const t1 = y - j0;
+                const t0 = 1 - t1;
+
+                for (let k = 0; k < ds.length; k++) {
+                    const d0 = d0s[k];
+                    ds[k][IX(i, j)] = s0 * (t0 * d0[IX(i0, j0)] + t1 * d0[IX(i0, j1)]) + s1 * (t0 * d0[IX(i1, j0)] + t1 * d0[IX(i1, j1)]);
+                }
+            }
+        }
+    }
+
+    backtrace(dt0, uv) {
+        // (i, j) => [x, y], the point in cells that cell i, j's contents came from along uv.
+        const { n, edges } = this;
+        const [uf, vf] = this.components(uv);
+        // on a periodic axis the backtrace wraps around to the other side instead of stopping at
+        // the edge. the boundary cells hold a copy of the other side, so interpolating into them works.
+        const wrapX = edges.left.type === EDGES.Periodic;
+        const wrapY = edges.bottom.type === EDGES.Periodic;
+        const wrap = (p) => ((p - 0.5) % n + n) % n + 0.5;
+        const clamp = (p) => Math.min(Math.max(p, 0.5), n + 0.5);
+        return (i, j) => {
+            const x = i - dt0 * uf[this.IX(i, j)];
+            const y = j - dt0 * vf[this.IX(i, j)];
+            return [wrapX ? wrap(x) : clamp(x), wrapY ? wrap(y) : clamp(y)];
+        };
+    }
+
+    correct(target, base, source, backward) {
+        // target = base + (source - backward) / 2, see common/advection.js.
+        const ts = this.components(target);
+        const bs = this.components(base);
+        const ss = this.components(source);
+        const ws = this.components(backward);
+        ts.forEach((t, k) => {
+            for (let index = 0; index < t.length; index++) {
+                t[index] = bs[k][index] + 0.5 * (ss[k][index] - ws[k][index]);
+            }
+        });
+    }
+
+    limit(target, source, uv, dt0) {
+        // clamps target to the range of the four source cells the backtrace along uv lands between,
+        // so the corrected schemes in common/advection.js don't overshoot.
+        const { n } = this;
+        const IX = (i, j) => this.IX(i, j);
+        const ds = this.components(target);
+        const d0s = this.components(source);
+        const from = this.backtrace(dt0, uv);
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                if (this.isSolid(IX(i, j))) {
+                    continue;
+                }
+                const [x, y] = from(i, j);
+                const i0 = x | 0;
+                const j0 = y | 0;
+                for (let k = 0; k < ds.length; k++) {
+                    const d0 = d0s[k];
+                    const a = d0[IX(i0, j0)];
+                    const b = d0[IX(i0, j0 + 1)];
+                    const c = d0[IX(i0 + 1, j0)];
+                    const d = d0[IX(i0 + 1, j0 + 1)];
+                    const value = ds[k][IX(i, j)];
+                    ds[k][IX(i, j)] = Math.min(Math.max(value, Math.min(a, b, c, d)), Math.max(a, b, c, d));
+                }
+            }
+        }
+    }
+
+    divergence(h, target, uv) {
+        const { n } = this;
+        const IX = (i, j) => this.IX(i, j);
+        const div = this.field(target);
+        const [uf, vf] = this.components(uv);
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                if (this.isSolid(IX(i, j))) {
+                    div[IX(i, j)] = 0;
+                    continue;
+                }
+                div[IX(i, j)] = -0.5 * h * (uf[IX(i + 1, j)] - uf[IX(i - 1, j)] + vf[IX(i, j + 1)] - vf[IX(i, j - 1)]);
+            }
+        }
+    }
+
+    subtractGradient(h, uv, p) {
+        // subtract the pressure gradient from both components of the velocity.
+        const { n } = this;
+        const IX = (i, j) => this.IX(i, j);
+        const [uf, vf] = this.components(uv);
+        const pf = this.field(p);
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= n; j++) {
+                if (this.isSolid(IX(i, j))) {
+                    continue;
+                }
+                uf[IX(i, j)] -= 0.5 * (pf[IX(i + 1, j)] - pf[IX(i - 1, j)]) * (1 / h);
+                vf[IX(i, j)] -= 0.5 * (pf[IX(i, j + 1)] - pf[IX(i, j - 1)]) * (1 / h);
+            }
+        }
+    }
+
+    maxSpeed(uv) {
+        // largest velocity of the non-boundary cells, for the cfl timestep.
+        const { n } = this;
+        const [uf, vf] = this.components(uv);
+        let speed = 0;
+        for (let j = 1; j <= n; j++) {
+            for (let i = 1; i <= n; i++) {
+                const index = this.IX(i, j);
+                speed = Math.max(speed, Math.hypot(uf[index], vf[index]));
+            }
+        }
+        return speed;
+    }
+
+    curl(i, j, uv = 'uv') {
+        // dv/dx - du/dy of the velocity at non-boundary cell i, j, the vorticity.
+        const { n, size } = this;
+        const [u, v] = this.components(uv);
+        const index = this.IX(i, j);
+        return 0.5 * n * (v[index + 1] - v[index - 1] - u[index + size] + u[index - size]);
+    }
+
+    vorticity(target, uv) {
+        const { n } = this;
+        const w = this.field(target);
+        for (let j = 1; j <= n; j++) {
+            for (let i = 1; i <= n; i++) {
+                const index = this.IX(i, j);
+                w[index] = this.isSolid(index) ? 0 : this.curl(i, j, uv);
+            }
+        }
+    }
+
+    confine(dt, epsilon, uv, curl) {
+        // pushes uv around the peaks of |curl|, see confine in common/pipeline.js. the same as the
+        // confine shader in gl.js.
+        const { n, size } = this;
+        const [uf, vf] = this.components(uv);
+        const w = this.field(curl);
+        for (let j = 1; j <= n; j++) {
+            for (let i = 1; i <= n; i++) {
+                const index = this.IX(i, j);
+                if (this.isSolid(index)) {
+                    continue;
+                }
+                // N, the way to the biggest |curl| nearby.
+                const dx = 0.5 * n * (Math.abs(w[index + 1]) - Math.abs(w[index - 1]));
+                const dy = 0.5 * n * (Math.abs(w[index + size]) - Math.abs(w[index - size]));
+                const length = Math.hypot(dx, dy);
+                if (length < 1e-6) {
+                    continue;
+                }
+                // epsilon * h * (N x curl), h being 1 / n.
+                const force = epsilon / n * w[index] / length;
+                uf[index] += dt * force * dy;
+                vf[index] -= dt * force * dx;
+            }
+        }
+    }
+
+    addBuoyancy(dt, up, lift, weight) {
+        // the boussinesq force from the temperature and density, see common/buoyancy.js.
+        const { n } = this;
+        const { u, v, x, t } = this.fields;
+        for (let j = 1; j <= n; j++) {
+            for (let i = 1; i <= n; i++) {
+                const index = this.IX(i, j);
+                if (this.isSolid(index)) {
+                    continue;
+                }
+                const force = dt * (lift * t[index] - weight * x[index]);
+                u[index] += force * up[0];
+                v[index] += force * up[1];
+            }
+        }
+    }
+
+    cool(factor) {
+        const { t } = this.fields;
+        for (let i = 0; i < t.length; i++) {
+            t[i] *= factor;
+        }
+    }
+
+    readVelocity(m) {
+        // the velocity at the middle of each cell of an m x m grid over the non-boundary cells,
+        // interpolated the same way advect does, for the overlays.
+        const { n } = this;
+        const { u, v } = this.fields;
+        const velocity = { m, u: new Float32Array(m * m), v: new Float32Array(m * m) };
+        for (let l = 0; l < m; l++) {
+            for (let k = 0; k < m; k++) {
+                const x = 0.5 + (k + 0.5) * n / m;
+                const y = 0.5 + (l + 0.5) * n / m;
+                const i0 = x | 0;
+                const j0 = y | 0;
+                const s1 = x - i0;
+                const t1 = y - j0;
+                const a = this.IX(i0, j0);
+                const b = this.IX(i0, j0 + 1);
+                const c = this.IX(i0 + 1, j0);
+                const d = this.IX(i0 + 1, j0 + 1);
+                const lerp = (f) => (1 - s1) * ((1 - t1) * f[a] + t1 * f[b]) + s1 * ((1 - t1) * f[c] + t1 * f[d]);
+                velocity.u[k + l * m] = lerp(u);
+                velocity.v[k + l * m] = lerp(v);
+            }
+        }
+        return velocity;
+    }
+
+    fade(factor, amount) {
+        // decrease the values otherwise theyll explode over time. i.e. remove density or dissipate,
+        // see common/decay.js.
+        const { x, r, g, b } = this.fields;
+        for (let i = 0; i < x.length; i++) {
+            const faded = Math.max(x[i] * factor - amount, 0);
+            // the dye by the same fraction, so the colour stays the same as it fades.
+            const fraction = x[i] > 0 ? faded / x[i] : 0;
+            r[i] *= fraction;
+            g[i] *= fraction;
+            b[i] *= fraction;
+            x[i] = faded;
+        }
+    }
+
+    totalDensity() {
+        return this.total('x')[0];
+    }
+
+    total(field) {
+        // each component added up over the non-boundary cells, see common/advection.js.
+        const { n } = this;
+        return this.components(field).map((f) => {
+            let total = 0;
+            for (let j = 1; j <= n; j++) {
+                for (let i = 1; i <= n; i++) {
+                    total += f[this.IX(i, j)];
+                }
+            }
+            return total;
+        });
+    }
+
+    scale(field, factors) {
+        this.components(field).forEach((f, k) => {
+            for (let i = 0; i < f.length; i++) {
+                f[i] *= factors[k];
+            }
+        });
+    }
+
+    addEmitters(emitters) {
+        // all of them in one go over the grid, see common/emitters.js. emitters are the ones that
+        // are on, from activeEmitters.
+        const { n } = this;
+        const { x, t, u, v, r, g, b } = this.fields;
+        const velocities = emitters.map(emitterVelocity);
+        for (let j = 1; j <= n; j++) {
+            for (let i = 1; i <= n; i++) {
+                const index = this.IX(i, j);
+                emitters.forEach((emitter, k) => {
+                    const weight = emitterWeight(emitter, i, j, n);
+                    if (weight === 0) {
+                        return;
+                    }
+                    x[index] += emitter.density * weight;
+                    t[index] += emitter.heat * weight;
+                    r[index] += emitter.density * emitter.colour[0] * weight;
+                    g[index] += emitter.density * emitter.colour[1] * weight;
+                    b[index] += emitter.density * emitter.colour[2] * weight;
+                    u[index] += velocities[k][0] * weight;
+                    v[index] += velocities[k][1] * weight;
+                });
+            }
+        }
+    }
+
+    addMouseDensityForces(sourceDensity, target, xVelocity, yVelocity, force = 15, brush = DEFAULT_BRUSH) {
+        // paints the brush along the stroke to target from where the pointer was, see common/brush.js.
+        const { n } = this;
+        const { x, u, v, r, g, b } = this.fields;
+        // int cast
+        const i = target[0] | 0;
+        const j = target[1] | 0;
+        if (i < 1 || j < 1 || i > n || j > n) {
+            return;
+        }
+        const start = [(target[0] - xVelocity) | 0, (target[1] - yVelocity) | 0];
+        const end = [i, j];
+        const normalized = normalizeBrush(brush);
+        const { radius, density, velocity } = normalized;
+        const colour = normalized.colour ?? [1, 1, 1];
+
+        const du = xVelocity * (2 / (Math.abs(xVelocity) + 1)) * force * velocity;
+        const dv = yVelocity * (2 / (Math.abs(yVelocity) + 1)) * force * velocity;
+
+        // only the cells the brush can reach.
+        const reach = Math.ceil(radius);
+        const i0 = Math.max(1, Math.min(start[0], end[0]) - reach);
+        const i1 = Math.min(n, Math.max(start[0], end[0]) + reach);
+        const j0 = Math.max(1, Math.min(start[1], end[1]) - reach);
+        const j1 = Math.min(n, Math.max(start[1], end[1]) + reach);
+        for (let cj = j0; cj <= j1; cj++) {
+            for (let ci = i0; ci <= i1; ci++) {
+                const weight = brushWeight(strokeOffset(ci, cj, start, end), normalized);
+                if (weight === 0) {
+                    continue;
+                }
+                const index = this.IX(ci, cj);
+                x[index] += sourceDensity * density * weight;
+                r[index] += sourceDensity * density * colour[0] * weight;
+                g[index] += sourceDensity * density * colour[1] * weight;
+                b[index] += sourceDensity * density * colour[2] * weight;
+                u[index] += du * weight;
+                v[index] += dv * weight;
+            }
+        }
+    }
+
+    step(dt) {
+        this.stats = step(this, dt, this);
+        return this.stats;
+    }
+}
+
+export { FluidSolver };
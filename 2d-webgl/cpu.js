@@ -0,0 +1,73 @@
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { VIEWS, COLOUR_MAPS, colourStops, viewRange, cellColour } from '../common/views.js';
+
+// The cpu fallback for when webgl2 or EXT_color_buffer_float isn't around. It's the same solver as
+// the canvas page, with a render that tries to look like the one in gl.js.
+class CPU extends FluidSolver {
+    constructor(size) {
+        super({ size: size - 2 });
+        // same as in gl.js, these only matter to render.
+        this.vizBoundary = true;
+        this.view = VIEWS.Dye;
+        this.colourStops = colourStops(COLOUR_MAPS.Viridis);
+        this.viewRange = 0;
+
+        // If the gpu backend got as far as a webgl2 context before giving up, this canvas can't
+        // hand out a 2d context anymore, so swap it out for a fresh one.
+        const previous = document.getElementById('canvas');
+        const canvas = previous.cloneNode(false);
+        previous.replaceWith(canvas);
+        // a cell per pixel is tiny at this grid size, so stretch it out.
+        canvas.style.width = 'min(90vw, 90vh)';
+        canvas.style.height = 'min(90vw, 90vh)';
+        canvas.style.imageRendering = 'pixelated';
+
+        this.ctx = canvas.getContext('2d');
+        this.setupImage();
+    }
+
+    setupImage() {
+        const { canvas } = this.ctx;
+        canvas.width = this.size;
+        canvas.height = this.size;
+        this.image = this.ctx.createImageData(this.size, this.size);
+    }
+
+    resize(size) {
+        super.resize(size);
+        this.setupImage();
+    }
+
+    render() {
+        const { size, image, view } = this;
+        const range = view === VIEWS.Dye ? 1 : this.viewRange || viewRange(this, view);
+        const pixels = image.data;
+
+        for (let j = 0; j < size; j++) {
+            // gl has row 0 at the bottom, image data has it at the top.
+            const row = (size - 1 - j) * size;
+            for (let i = 0; i < size; i++) {
+                const o = (row + i) * 4;
+
+                if (this.vizBoundary && (i < 2 || j < 2 || i >= size - 2 || j > size - 2)) {
+                    pixels[o] = pixels[o + 1] = pixels[o + 2] = pixels[o + 3] = 255;
+                    continue;
+                }
+
+                if (this.isSolid(i + j * size)) {
+                    pixels[o] = pixels[o + 1] = pixels[o + 2] = 128;
+                    pixels[o + 3] = 255;
+                    continue;
+                }
+
+                const colour = cellColour(this, view, this.colourStops, range, i, j);
+                colour.forEach((c, k) => pixels[o + k] = 255 * c);
+                pixels[o + 3] = 255;
+            }
+        }
+
+        this.ctx.putImageData(image, 0, 0);
+    }
+}
+
+export { CPU };
@@ -1,3 +1,10 @@
+import { PRESSURE_SOLVERS } from '../common/pressure.js';
+import { WALLS } from '../common/obstacles.js';
+import { EDGES, SIDES, normalizeEdges } from '../common/edges.js';
+import { DEFAULT_BRUSH, normalizeBrush } from '../common/brush.js';
+import { EMITTER_TYPES, PROFILES, emitterVelocity } from '../common/emitters.js';
+import { VIEWS, COLOUR_MAPS, MAX_STOPS, isSigned, colourStops } from '../common/views.js';
+
 const DEBUG = false;
 
 class Shader {
@@ -135,13 +142,211 @@ const VERTEX = `#version 300 es
     }
 `;
 
+// The textures with more than one channel, both velocity components or the dye's r, g and b. The rest
+// are single channel. RGB32F can't be rendered to, so the dye gets an alpha it doesn't use.
+const CHANNELS = {
+    uv: 2,
+    uv0: 2,
+    dye: 4,
+    dye0: 4,
+    uvBack: 2,
+    dyeBack: 4,
+};
+
+// Where each cell's contents came from along u_uv, for advect and limit.
+const BACKTRACE = `
+    uniform sampler2D u_uv;
+    uniform float u_dt0;
+    // 1 on the axes where the edges are periodic.
+    uniform ivec2 u_periodic;
+
+    float backtrace(float p, int size, int periodic) {
+        // on a periodic axis the backtrace wraps around to the other side instead of stopping
+        // at the edge. the boundary cells hold a copy of the other side, so interpolating into
+        // them works.
+        if (periodic == 1) {
+            return mod(p - 0.5, float(size)) + 0.5;
+        }
+        return clamp(p, 0.5, float(size) + 0.5);
+    }
+
+    vec2 departure(ivec2 p) {
+        // size without the boundary.
+        ivec2 size = textureSize(u_uv, 0) - ivec2(2);
+        vec2 uv = texelFetch(u_uv, p, 0).rg;
+        float x = backtrace(float(p.x) - u_dt0 * uv.x, size.x, u_periodic.x);
+        float y = backtrace(float(p.y) - u_dt0 * uv.y, size.y, u_periodic.y);
+        return vec2(x, y);
+    }
+`;
+
+// For the shaders that need to know about solid cells, see setObstacles.
+const OBSTACLES = `
+    uniform sampler2D u_obstacles;
+    uniform int u_has_obstacles;
+
+    bool solid(ivec2 p) {
+        return u_has_obstacles == 1 && texelFetch(u_obstacles, p, 0).r > 0.5;
+    }
+`;
+
+// brushWeight from common/brush.js, for the stroke from u_from to u_target. size is the field's, so
+// the boundary cells get left alone.
+const BRUSH = `
+    uniform vec2 u_from;
+    uniform vec2 u_target;
+    uniform int u_brush_shape;
+    uniform float u_brush_radius;
+    uniform int u_brush_falloff;
+
+    float brush(ivec2 p, ivec2 size) {
+        if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2) {
+            return 0.;
+        }
+        vec2 q = vec2(p);
+        vec2 stroke = u_target - u_from;
+        float length2 = dot(stroke, stroke);
+        float t = length2 > 0. ? clamp(dot(q - u_from, stroke) / length2, 0., 1.) : 0.;
+        vec2 o = abs(q - (u_from + t * stroke));
+        float d;
+        if (u_brush_shape == 0) {
+            // plus
+            if (min(o.x, o.y) >= 0.5) {
+                return 0.;
+            }
+            d = max(o.x, o.y);
+        } else if (u_brush_shape == 1) {
+            d = length(o);
+        } else {
+            d = max(o.x, o.y);
+        }
+        if (d > u_brush_radius + 1e-4) {
+            return 0.;
+        }
+        float s = d / (u_brush_radius + 1.);
+        if (u_brush_falloff == 1) {
+            return 1. - s;
+        }
+        if (u_brush_falloff == 2) {
+            return exp(-4. * s * s);
+        }
+        return 1.;
+    }
+`;
+
+const BRUSH_UNIFORMS = ['u_from', 'u_target', 'u_brush_shape', 'u_brush_radius', 'u_brush_falloff'];
+
+// How many emitters one pass of addEmitters takes, any more get another pass.
+const MAX_EMITTERS = 16;
+
+// emitterWeight from common/emitters.js. Shapes are already in cells, and the types and profiles are
+// their index in EMITTER_INDEX and PROFILE_INDEX.
+const EMITTERS = `
+    uniform int u_count;
+    uniform int u_type[${MAX_EMITTERS}];
+    uniform int u_profile[${MAX_EMITTERS}];
+    // x, y, radius, - for a point, x0, y0, x1, y1 for a line and x, y, width, height for an area.
+    uniform vec4 u_shape[${MAX_EMITTERS}];
+    // how thick a line is.
+    uniform float u_width[${MAX_EMITTERS}];
+
+    float falloff(int profile, float s) {
+        if (profile == 1) {
+            return 1. - s;
+        }
+        if (profile == 2) {
+            return exp(-4. * s * s);
+        }
+        return 1.;
+    }
+
+    float emitterWeight(int k, ivec2 p, ivec2 size) {
+        if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2) {
+            return 0.;
+        }
+        vec2 q = vec2(p) - 0.5;
+        vec4 shape = u_shape[k];
+        if (u_type[k] == 0) {
+            float radius = max(shape.z, 1.);
+            float d = length(q - shape.xy);
+            return d > radius ? 0. : falloff(u_profile[k], d / radius);
+        }
+        if (u_type[k] == 1) {
+            vec2 line = shape.zw - shape.xy;
+            float length2 = dot(line, line);
+            float t = length2 > 0. ? clamp(dot(q - shape.xy, line) / length2, 0., 1.) : 0.;
+            float d = length(q - (shape.xy + t * line));
+            if (d > max(u_width[k] / 2., 0.5)) {
+                return 0.;
+            }
+            return falloff(u_profile[k], abs(t * 2. - 1.));
+        }
+        vec2 uv = (q - shape.xy) / shape.zw;
+        if (uv.x < 0. || uv.y < 0. || uv.x > 1. || uv.y > 1.) {
+            return 0.;
+        }
+        return falloff(u_profile[k], max(abs(uv.x * 2. - 1.), abs(uv.y * 2. - 1.)));
+    }
+`;
+
+const EMITTER_UNIFORMS = ['u_count', 'u_type', 'u_profile', 'u_shape', 'u_width'];
+
+// cellValue from common/views.js, the number the view shows for cell p.
+const VIEW = `
+    uniform sampler2D u_x;
+    uniform sampler2D u_uv;
+    uniform sampler2D u_p;
+    uniform sampler2D u_div;
+    uniform sampler2D u_t;
+    uniform int u_view;
+
+    float view_value(ivec2 p) {
+        if (u_view == ${VIEWS.Density}) {
+            return texelFetch(u_x, p, 0).r;
+        }
+        if (u_view == ${VIEWS.Speed}) {
+            return length(texelFetch(u_uv, p, 0).rg);
+        }
+        if (u_view == ${VIEWS.Vorticity}) {
+            ivec2 size = textureSize(u_uv, 0);
+            if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2) {
+                return 0.;
+            }
+            float dv = texelFetch(u_uv, p + ivec2(1, 0), 0).g - texelFetch(u_uv, p - ivec2(1, 0), 0).g;
+            float du = texelFetch(u_uv, p + ivec2(0, 1), 0).r - texelFetch(u_uv, p - ivec2(0, 1), 0).r;
+            return 0.5 * float(size.x - 2) * (dv - du);
+        }
+        if (u_view == ${VIEWS.Pressure}) {
+            return texelFetch(u_p, p, 0).r;
+        }
+        if (u_view == ${VIEWS.Divergence}) {
+            return texelFetch(u_div, p, 0).r;
+        }
+        if (u_view == ${VIEWS.Temperature}) {
+            return texelFetch(u_t, p, 0).r;
+        }
+        return 0.;
+    }
+`;
+
+const VIEW_SAMPLERS = ['u_x', 'u_uv', 'u_p', 'u_div', 'u_t'];
+const EMITTER_INDEX = [EMITTER_TYPES.Point, EMITTER_TYPES.Line, EMITTER_TYPES.Area];
+const PROFILE_INDEX = [PROFILES.Flat, PROFILES.Triangle, PROFILES.Gaussian];
+
 class GL {
-    constructor(size, mode) {
+    constructor(size) {
         const canvas = document.getElementById('canvas');
         canvas.width = size;
         canvas.height = size;
         this.size = size;
-        this.mode = mode;
+        // These only matter to render, so they can be changed whenever.
+        // draw the boundary cells as a white frame, or with whatever's in them.
+        this.vizBoundary = true;
+        // what to draw, the colour map for anything but the dye and the value at the top of it, 0
+        // for the largest there is, see common/views.js.
+        this.view = VIEWS.Dye;
+        this.colourStops = colourStops(COLOUR_MAPS.Viridis);
+        this.viewRange = 0;
 
         const gl = canvas.getContext('webgl2', {
             alpha: true,
@@ -149,6 +354,9 @@ class GL {
             depth: false,
             premultipliedAlpha: false,
         });
+        if (!gl) {
+            throw new Error('WebGL2 is not available');
+        }
         this.gl = gl;
         const ext = gl.getExtension("EXT_color_buffer_float");
         if (!ext) {
@@ -156,53 +364,125 @@ class GL {
         }
 
         this.shaders = {
-            // fan density + velocity
-            addFanDensity: null,
-            addFanVelocity: null,
+            // emitter density + velocity
+            addEmitterDensity: null,
+            addEmitterVelocity: null,
             // mouse density + velocity
             addMouseDensity: null,
             addMouseVelocity: null,
             // solvers
             solveLinear: null,
+            // pressure solvers
+            residual: null,
+            reduce: null,
+            restrict: null,
+            prolong: null,
+            // largest velocity, for the cfl timestep
+            speed: null,
+            // largest value of the view, for its range
+            viewRange: null,
+            // the velocity on a coarser grid, for the overlays
+            sampleVelocity: null,
             advect: null,
+            // for the schemes in common/advection.js
+            correct: null,
+            limit: null,
             divergence: null,
             velocity: null,
+            // vorticity confinement
+            vorticity: null,
+            confine: null,
+            // heat rising and density sinking, see common/buoyancy.js
+            buoyancy: null,
+            cool: null,
             setBoundary: null,
+            // decay, and adding up fields for reporting it and for advect's conserve
+            fade: null,
+            total: null,
+            scale: null,
             // final render
             render: null,
         };
 
-        this.setupAddFanDensityForces();
+        this.setupAddEmitters();
         this.setupAddMouseDensityForces();
         this.setupSolveLinear();
+        this.setupPressure();
+        this.setupSpeed();
         this.setupAdvect();
         this.setupDivergence();
         this.setupVelocity();
+        this.setupConfine();
+        this.setupBuoyancy();
         this.setupSetBoundary();
         this.setupFade();
         this.setupRender();
 
         this.textures = {
-            // velocity textures
-            // todo
-            // combine u and v (x and y components of velocity) into one uv.
-            u0: null,
-            u0Next: null,
-            u: null,
-            uNext: null,
-            v0: null,
-            v0Next: null,
-            v: null,
-            vNext: null,
+            // velocity textures, RG32F with u (x component) in red and v (y component) in green.
+            uv0: null,
+            uv0Next: null,
+            uv: null,
+            uvNext: null,
             // density textures
             x0: null,
             x0Next: null,
             x: null,
             xNext: null,
+            // dye textures, RGBA32F with the density times its colour in r, g and b.
+            dye0: null,
+            dye0Next: null,
+            dye: null,
+            dyeNext: null,
+            // pressure and divergence for the projection.
+            p: null,
+            pNext: null,
+            div: null,
+            divNext: null,
+            // the vorticity, for confining it.
+            curl: null,
+            curlNext: null,
+            // the temperature, relative to the ambient, see common/buoyancy.js.
+            t0: null,
+            t0Next: null,
+            t: null,
+            tNext: null,
+            // the backward pass of the better advection schemes, see common/advection.js.
+            xBack: null,
+            xBackNext: null,
+            tBack: null,
+            tBackNext: null,
+            uvBack: null,
+            uvBackNext: null,
+            dyeBack: null,
+            dyeBackNext: null,
         };
 
         this.setupTextures();
 
+        this.pressureSolvers = [
+            PRESSURE_SOLVERS.Jacobi,
+            PRESSURE_SOLVERS.RedBlack,
+            PRESSURE_SOLVERS.Multigrid,
+        ];
+        // Textures for adding up residuals, and the coarser grids for multigrid. Both only
+        // get made when they're first used.
+        this.reduction = null;
+        this.multigrid = null;
+        // { m, texture } that readVelocity samples the velocity into, kept for the next frame.
+        this.sampled = null;
+
+        // Solid cells, see setObstacles. Not in this.textures since it never gets written to by
+        // a shader, so it doesn't need a *Next.
+        this.obstacles = {
+            texture: this.createTexture(new Float32Array(size * size)),
+            enabled: false,
+            wall: WALLS.NoSlip,
+        };
+
+        // What happens at each edge of the grid, see setEdges.
+        this.edges = normalizeEdges();
+
         this.fb = null;
         this.createFramebuffer();
 
@@ -212,58 +492,67 @@ class GL {
         this.quad = new Quad(gl);
     }
 
-    setupAddFanDensityForces() {
+    setupAddEmitters() {
         const { gl } = this;
         {
+            // for the density and the dye, like addMouseDensity.
             const fragment = `#version 300 es
             precision highp float;
             uniform sampler2D u_x;
-            uniform float u_source_density;
+            uniform vec4 u_amount[${MAX_EMITTERS}];
+            ${EMITTERS}
 
             out vec4 colour;
 
             void main(void) {
                 ivec2 p = ivec2(gl_FragCoord.xy);
                 ivec2 size = textureSize(u_x, 0);
-                float x = texelFetch(u_x, p, 0).r;
-                colour.r = x;
-
-                if (p.x == 1) {
-                    float strength = 1. - abs((float(p.y) / float(size.y)) * 2. - 1.);
-                    colour.r = x + u_source_density * strength * 10.;
+                vec4 x = texelFetch(u_x, p, 0);
+                for (int k = 0; k < ${MAX_EMITTERS}; k++) {
+                    if (k >= u_count) {
+                        break;
+                    }
+                    x += u_amount[k] * emitterWeight(k, p, size);
                 }
+                colour = x;
             }
             `;
 
-            this.shaders.addFanDensity = new Shader(gl, VERTEX, fragment);
-            this.shaders.addFanDensity.cacheUniformLocations(gl, [
+            this.shaders.addEmitterDensity = new Shader(gl, VERTEX, fragment);
+            this.shaders.addEmitterDensity.cacheUniformLocations(gl, [
                 'u_x',
-                'u_source_density',
+                'u_amount',
+                ...EMITTER_UNIFORMS,
             ]);
         }
         {
             const fragment = `#version 300 es
             precision highp float;
-            uniform sampler2D u_u;
+            uniform sampler2D u_uv;
+            uniform vec2 u_velocity[${MAX_EMITTERS}];
+            ${EMITTERS}
 
             out vec4 colour;
 
             void main(void) {
                 ivec2 p = ivec2(gl_FragCoord.xy);
-                ivec2 size = textureSize(u_u, 0);
-                float u = texelFetch(u_u, p, 0).r;
-                colour.r = u;
-
-                if (p.x == 1) {
-                    float strength = 1. - abs((float(p.y) / float(size.y)) * 2. - 1.);
-                    colour.r = u + strength * 5.;
+                ivec2 size = textureSize(u_uv, 0);
+                vec2 uv = texelFetch(u_uv, p, 0).rg;
+                for (int k = 0; k < ${MAX_EMITTERS}; k++) {
+                    if (k >= u_count) {
+                        break;
+                    }
+                    uv += u_velocity[k] * emitterWeight(k, p, size);
                 }
+                colour.rg = uv;
             }
             `;
 
-            this.shaders.addFanVelocity = new Shader(gl, VERTEX, fragment);
-            this.shaders.addFanVelocity.cacheUniformLocations(gl, [
-                'u_x',
+            this.shaders.addEmitterVelocity = new Shader(gl, VERTEX, fragment);
+            this.shaders.addEmitterVelocity.cacheUniformLocations(gl, [
+                'u_uv',
+                'u_velocity',
+                ...EMITTER_UNIFORMS,
             ]);
         }
     }
@@ -271,69 +560,52 @@ class GL {
     setupAddMouseDensityForces() {
         const { gl } = this;
         {
+            // for the density and the dye, u_amount is the density in r for one and the density
+            // times the colour for the other.
             const fragment = `#version 300 es
             precision highp float;
             uniform sampler2D u_x;
-            uniform float u_source_density;
-            uniform ivec2 u_target;
+            uniform vec4 u_amount;
+            ${BRUSH}
 
             out vec4 colour;
 
             void main(void) {
                 ivec2 p = ivec2(gl_FragCoord.xy);
-                float x = texelFetch(u_x, p, 0).r;
-                colour.r = x;
-
-                if (p.x == u_target.x && p.y == u_target.y) {
-                    colour.r = x + u_source_density;
-                }
-                if (p.x - 1 == u_target.x && p.y == u_target.y) {
-                    colour.r = x + u_source_density;
-                }
-                if (p.x + 1 == u_target.x && p.y == u_target.y) {
-                    colour.r = x + u_source_density;
-                }
-                if (p.x == u_target.x && p.y - 1 == u_target.y) {
-                    colour.r = x + u_source_density;
-                }
-                if (p.x == u_target.x && p.y + 1 == u_target.y) {
-                    colour.r = x + u_source_density;
-                }
+                colour = texelFetch(u_x, p, 0) + u_amount * brush(p, textureSize(u_x, 0));
             }
             `;
 
             this.shaders.addMouseDensity = new Shader(gl, VERTEX, fragment);
             this.shaders.addMouseDensity.cacheUniformLocations(gl, [
                 'u_x',
-                'u_source_density',
-                'u_target',
+                'u_amount',
+                ...BRUSH_UNIFORMS,
             ]);
         }
         {
             const fragment = `#version 300 es
             precision highp float;
             uniform sampler2D u_uv;
-            uniform ivec2 u_target;
-            uniform float u_velocity;
+            uniform vec2 u_velocity;
+            uniform float u_force;
+            ${BRUSH}
 
             out vec4 colour;
 
             void main(void) {
                 ivec2 p = ivec2(gl_FragCoord.xy);
-                float uv = texelFetch(u_uv, p, 0).r;
-                colour.r = uv;
-
-                if (p.x == u_target.x && p.y == u_target.y) {
-                    colour.r = uv + u_velocity * (2. / (abs(u_velocity) + 1.)) * 15.;
-                }
+                vec2 uv = texelFetch(u_uv, p, 0).rg;
+                colour.rg = uv + u_velocity * (2. / (abs(u_velocity) + 1.)) * u_force * brush(p, textureSize(u_uv, 0));
             }
             `;
 
             this.shaders.addMouseVelocity = new Shader(gl, VERTEX, fragment);
             this.shaders.addMouseVelocity.cacheUniformLocations(gl, [
                 'u_uv',
-                'u_target',
                 'u_velocity',
+                'u_force',
+                ...BRUSH_UNIFORMS,
             ]);
         }
     }
@@ -347,18 +619,34 @@ class GL {
         uniform sampler2D u_x0;
         uniform float u_a;
         uniform float u_c;
+        // -1 for jacobi, or 0/1 to only update that colour of a red-black checkerboard.
+        uniform int u_parity;
+        ${OBSTACLES}
 
         out vec4 colour;
 
         void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
-            float l = texelFetch(u_x, p - ivec2(1, 0), 0).r;
-            float r = texelFetch(u_x, p + ivec2(1, 0), 0).r;
-            float t = texelFetch(u_x, p - ivec2(0, 1), 0).r;
-            float b = texelFetch(u_x, p + ivec2(0, 1), 0).r;
-            float x0 = texelFetch(u_x0, p, 0).r;
-            colour.r = (u_a / u_c) * (x0 + l + r + t + b);
-            // }
+            ivec2 size = textureSize(u_x, 0);
+            // notice that we only do this on non-boundary cells so we can sample the boundary.
+            // red-black relies on it, the second half would otherwise read boundary cells the
+            // first half overwrote.
+            bool boundary = p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2 || solid(p);
+            if (boundary || (u_parity >= 0 && (p.x + p.y) % 2 != u_parity)) {
+                colour = texelFetch(u_x, p, 0);
+                return;
+            }
+            // all four channels so that both components of the velocity, or the r, g, b of the
+            // dye, get done at once. the textures only store the ones they have.
+            vec4 l = texelFetch(u_x, p - ivec2(1, 0), 0);
+            vec4 r = texelFetch(u_x, p + ivec2(1, 0), 0);
+            vec4 t = texelFetch(u_x, p - ivec2(0, 1), 0);
+            vec4 b = texelFetch(u_x, p + ivec2(0, 1), 0);
+            vec4 x0 = texelFetch(u_x0, p, 0);
+            // same as the cpu's gauss-seidel, but only ever reading the previous iteration.
+            // for the pressure solve a = 1 and c = 4, for diffusion a = dt * diff * N * N and
+            // c = 1 + 4a.
+            colour = (x0 + u_a * (l + r + t + b)) / u_c;
             // debug
             // colour.r = texelFetch(u_x0, p, 0).r;
         }
@@ -370,34 +658,276 @@ class GL {
             'u_x0',
             'u_a',
             'u_c',
+            'u_parity',
+            'u_obstacles',
+            'u_has_obstacles',
         ]);
     }
 
-    setupAdvect() {
+    setupPressure() {
+        const { gl } = this;
+        {
+            // r = x0 + a * (neighbours of x) - c * x, i.e. what's left over by solveLinear. with
+            // u_norm it writes r^2 and x0^2 instead, for reduce to add up.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_x;
+            uniform sampler2D u_x0;
+            uniform float u_a;
+            uniform float u_c;
+            uniform int u_norm;
+            ${OBSTACLES}
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                ivec2 size = textureSize(u_x, 0);
+                colour = vec4(0.);
+                if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2 || solid(p)) {
+                    return;
+                }
+                float l = texelFetch(u_x, p - ivec2(1, 0), 0).r;
+                float r = texelFetch(u_x, p + ivec2(1, 0), 0).r;
+                float t = texelFetch(u_x, p - ivec2(0, 1), 0).r;
+                float b = texelFetch(u_x, p + ivec2(0, 1), 0).r;
+                float x = texelFetch(u_x, p, 0).r;
+                float x0 = texelFetch(u_x0, p, 0).r;
+                float residual = x0 + u_a * (l + r + t + b) - u_c * x;
+                if (u_norm == 1) {
+                    colour.rg = vec2(residual * residual, x0 * x0);
+                } else {
+                    colour.r = residual;
+                }
+            }
+            `;
+
+            this.shaders.residual = new Shader(gl, VERTEX, fragment);
+            this.shaders.residual.cacheUniformLocations(gl, [
+                'u_x',
+                'u_x0',
+                'u_a',
+                'u_c',
+                'u_norm',
+                'u_obstacles',
+                'u_has_obstacles',
+            ]);
+        }
+        {
+            // sums 4x4 blocks, so a texture can be added up by drawing it a few times
+            // into smaller ones and only reading back the last one. with u_max it takes the
+            // largest instead (everything going in is >= 0).
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_x;
+            uniform int u_max;
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy) * 4;
+                ivec2 size = textureSize(u_x, 0);
+                vec4 sum = vec4(0.);
+                for (int i = 0; i < 4; i++) {
+                    for (int j = 0; j < 4; j++) {
+                        ivec2 q = p + ivec2(i, j);
+                        if (q.x < size.x && q.y < size.y) {
+                            vec4 x = texelFetch(u_x, q, 0);
+                            sum = u_max == 1 ? max(sum, x) : sum + x;
+                        }
+                    }
+                }
+                colour = sum;
+            }
+            `;
+
+            this.shaders.reduce = new Shader(gl, VERTEX, fragment);
+            this.shaders.reduce.cacheUniformLocations(gl, [
+                'u_x',
+                'u_max',
+            ]);
+        }
+        {
+            // multigrid restriction. coarse cell i covers the fine cells 2i - 1 and 2i on each axis.
+            // the coarse grid spacing is twice the fine one, so adding up (rather than averaging) the
+            // 4 residuals gives the right hand side for the same 4p - (neighbours of p) stencil.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_r;
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                ivec2 fine = textureSize(u_r, 0) - ivec2(2);
+                ivec2 size = fine / 2;
+                colour = vec4(0.);
+                if (p.x < 1 || p.y < 1 || p.x > size.x || p.y > size.y) {
+                    return;
+                }
+                ivec2 q = p * 2;
+                colour.r = texelFetch(u_r, q - ivec2(1, 1), 0).r
+                    + texelFetch(u_r, q - ivec2(0, 1), 0).r
+                    + texelFetch(u_r, q - ivec2(1, 0), 0).r
+                    + texelFetch(u_r, q, 0).r;
+            }
+            `;
+
+            this.shaders.restrict = new Shader(gl, VERTEX, fragment);
+            this.shaders.restrict.cacheUniformLocations(gl, [
+                'u_r',
+            ]);
+        }
+        {
+            // multigrid prolongation, adds the bilinearly interpolated coarse correction u_e to u_x.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_x;
+            uniform sampler2D u_e;
+
+            out vec4 colour;
+
+            float get(int x, int y) {
+                return texelFetch(u_e, ivec2(x, y), 0).r;
+            }
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                float x = texelFetch(u_x, p, 0).r;
+                // where the centre of fine cell p sits on the coarse grid, with coarse cell i
+                // centred on i. the boundary cells get fixed up by setBoundary afterwards.
+                vec2 c = (vec2(p) + 0.5) * 0.5;
+                ivec2 i0 = ivec2(floor(c));
+                vec2 s = c - vec2(i0);
+                float e = (1. - s.x) * ((1. - s.y) * get(i0.x, i0.y) + s.y * get(i0.x, i0.y + 1))
+                    + s.x * ((1. - s.y) * get(i0.x + 1, i0.y) + s.y * get(i0.x + 1, i0.y + 1));
+                colour.r = x + e;
+            }
+            `;
+
+            this.shaders.prolong = new Shader(gl, VERTEX, fragment);
+            this.shaders.prolong.cacheUniformLocations(gl, [
+                'u_x',
+                'u_e',
+            ]);
+        }
+    }
+
+    setupSpeed() {
         const { gl } = this;
 
+        // how fast each non-boundary cell is going, for reduce to find the largest of.
         const fragment = `#version 300 es
         precision highp float;
-        uniform sampler2D u_source;
-        uniform sampler2D u_u;
-        uniform sampler2D u_v;
-        uniform float u_dt0;
+        uniform sampler2D u_uv;
 
         out vec4 colour;
 
         void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
-            ivec2 size = textureSize(u_source, 0);
-            // size without the boundary.
-            size -= ivec2(2);
+            ivec2 size = textureSize(u_uv, 0);
+            colour = vec4(0.);
+            if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2) {
+                return;
+            }
+            colour.r = length(texelFetch(u_uv, p, 0).rg);
+        }
+        `;
+
+        this.shaders.speed = new Shader(gl, VERTEX, fragment);
+        this.shaders.speed.cacheUniformLocations(gl, [
+            'u_uv',
+        ]);
+
+        {
+            // how big the view's value is for each non-boundary fluid cell, for reduce to find the
+            // largest of when there's no range.
+            const fragment = `#version 300 es
+            precision highp float;
+            ${VIEW}
+            ${OBSTACLES}
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                ivec2 size = textureSize(u_x, 0);
+                colour = vec4(0.);
+                if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2 || solid(p)) {
+                    return;
+                }
+                colour.r = abs(view_value(p));
+            }
+            `;
+
+            this.shaders.viewRange = new Shader(gl, VERTEX, fragment);
+            this.shaders.viewRange.cacheUniformLocations(gl, [
+                ...VIEW_SAMPLERS,
+                'u_view',
+                'u_obstacles',
+                'u_has_obstacles',
+            ]);
+        }
+
+        {
+            // the velocity at the middle of each cell of a grid u_m across, interpolated the same
+            // way advect does. readVelocity in solver.js does the same.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_uv;
+            uniform float u_m;
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 size = textureSize(u_uv, 0);
+                float n = float(size.x - 2);
+                vec2 q = 0.5 + gl_FragCoord.xy * n / u_m;
+
+                int i0 = int(q.x);
+                int j0 = int(q.y);
+                float s1 = q.x - float(i0);
+                float s0 = 1. - s1;
+                float t1 = q.y - float(j0);
+                float t0 = 1. - t1;
+
+                vec2 a = texelFetch(u_uv, ivec2(i0, j0), 0).rg;
+                vec2 b = texelFetch(u_uv, ivec2(i0, j0 + 1), 0).rg;
+                vec2 c = texelFetch(u_uv, ivec2(i0 + 1, j0), 0).rg;
+                vec2 d = texelFetch(u_uv, ivec2(i0 + 1, j0 + 1), 0).rg;
+                colour = vec4(s0 * (t0 * a + t1 * b) + s1 * (t0 * c + t1 * d), 0., 0.);
+            }
+            `;
+
+            this.shaders.sampleVelocity = new Shader(gl, VERTEX, fragment);
+            this.shaders.sampleVelocity.cacheUniformLocations(gl, [
+                'u_uv',
+                'u_m',
+            ]);
+        }
+    }
 
-            // TODO
-            // lots of room to improve this with vectorization / matrices.
-            float x = float(p.x) - u_dt0 * texelFetch(u_u, p, 0).r;
-            x = clamp(x, 0.5, float(size.x));
+    setupAdvect() {
+        const { gl } = this;
+
+        const fragment = `#version 300 es
+        precision highp float;
+        uniform sampler2D u_source;
+        ${BACKTRACE}
+        ${OBSTACLES}
+
+        out vec4 colour;
 
-            float y = float(p.y) - u_dt0 * texelFetch(u_v, p, 0).r;
-            y = clamp(y, 0.5, float(size.y));
+        void main(void) {
+            ivec2 p = ivec2(gl_FragCoord.xy);
+            if (solid(p)) {
+                // filled in by setBoundary.
+                colour = vec4(0.);
+                return;
+            }
+            vec2 q = departure(p);
+            float x = q.x;
+            float y = q.y;
 
             int i0 = int(x);
             int i1 = i0 + 1;
@@ -411,23 +941,91 @@ class GL {
             float t1 = y - float(j0);
             float t0 = 1. - t1;
 
-            float a = texelFetch(u_source, ivec2(i0, j0), 0).r;
-            float b = texelFetch(u_source, ivec2(i0, j1), 0).r;
-            float c = texelFetch(u_source, ivec2(i1, j0), 0).r;
-            float d = texelFetch(u_source, ivec2(i1, j1), 0).r;
+            // every channel so the velocity can advect itself in one go, see solveLinear.
+            vec4 a = texelFetch(u_source, ivec2(i0, j0), 0);
+            vec4 b = texelFetch(u_source, ivec2(i0, j1), 0);
+            vec4 c = texelFetch(u_source, ivec2(i1, j0), 0);
+            vec4 d = texelFetch(u_source, ivec2(i1, j1), 0);
 
             // this looks like a matrix
-            colour.r = s0 * (t0 * a + t1 * b) + s1 * (t0 * c + t1 * d);
+            colour = s0 * (t0 * a + t1 * b) + s1 * (t0 * c + t1 * d);
         }
         `;
 
         this.shaders.advect = new Shader(gl, VERTEX, fragment);
         this.shaders.advect.cacheUniformLocations(gl, [
             'u_source',
-            'u_u',
-            'u_v',
+            'u_uv',
             'u_dt0',
+            'u_periodic',
+            'u_obstacles',
+            'u_has_obstacles',
         ]);
+
+        {
+            // base + (source - backward) / 2, for the schemes in common/advection.js.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_base;
+            uniform sampler2D u_source;
+            uniform sampler2D u_backward;
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                vec4 source = texelFetch(u_source, p, 0);
+                colour = texelFetch(u_base, p, 0) + 0.5 * (source - texelFetch(u_backward, p, 0));
+            }
+            `;
+
+            this.shaders.correct = new Shader(gl, VERTEX, fragment);
+            this.shaders.correct.cacheUniformLocations(gl, [
+                'u_base',
+                'u_source',
+                'u_backward',
+            ]);
+        }
+
+        {
+            // clamps u_target to the range of the four cells of u_source the backtrace lands
+            // between, so the corrected schemes don't overshoot.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_target;
+            uniform sampler2D u_source;
+            ${BACKTRACE}
+            ${OBSTACLES}
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                ivec2 size = textureSize(u_target, 0);
+                colour = texelFetch(u_target, p, 0);
+                if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2 || solid(p)) {
+                    return;
+                }
+                ivec2 q = ivec2(departure(p));
+                vec4 a = texelFetch(u_source, q, 0);
+                vec4 b = texelFetch(u_source, q + ivec2(0, 1), 0);
+                vec4 c = texelFetch(u_source, q + ivec2(1, 0), 0);
+                vec4 d = texelFetch(u_source, q + ivec2(1, 1), 0);
+                colour = clamp(colour, min(min(a, b), min(c, d)), max(max(a, b), max(c, d)));
+            }
+            `;
+
+            this.shaders.limit = new Shader(gl, VERTEX, fragment);
+            this.shaders.limit.cacheUniformLocations(gl, [
+                'u_target',
+                'u_source',
+                'u_uv',
+                'u_dt0',
+                'u_periodic',
+                'u_obstacles',
+                'u_has_obstacles',
+            ]);
+        }
     }
 
     setupDivergence() {
@@ -435,27 +1033,32 @@ class GL {
 
         const fragment = `#version 300 es
         precision highp float;
-        uniform sampler2D u_u;
-        uniform sampler2D u_v;
+        uniform sampler2D u_uv;
         uniform float u_h;
+        ${OBSTACLES}
 
         out vec4 colour;
 
         void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
-            float l = texelFetch(u_u, p - ivec2(1, 0), 0).r;
-            float r = texelFetch(u_u, p + ivec2(1, 0), 0).r;
-            float t = texelFetch(u_v, p - ivec2(0, 1), 0).r;
-            float b = texelFetch(u_v, p + ivec2(0, 1), 0).r;
+            if (solid(p)) {
+                colour.r = 0.;
+                return;
+            }
+            float l = texelFetch(u_uv, p - ivec2(1, 0), 0).r;
+            float r = texelFetch(u_uv, p + ivec2(1, 0), 0).r;
+            float t = texelFetch(u_uv, p - ivec2(0, 1), 0).g;
+            float b = texelFetch(u_uv, p + ivec2(0, 1), 0).g;
             colour.r = -0.5 * u_h * (r - l + b - t);
         }
         `;
 
         this.shaders.divergence = new Shader(gl, VERTEX, fragment);
         this.shaders.divergence.cacheUniformLocations(gl, [
-            'u_u',
-            'u_v',
+            'u_uv',
             'u_h',
+            'u_obstacles',
+            'u_has_obstacles',
         ]);
     }
 
@@ -467,29 +1070,24 @@ class GL {
         uniform sampler2D u_uv;
         uniform sampler2D u_p;
         uniform float u_h;
-        uniform int u_direction;
+        ${OBSTACLES}
 
         out vec4 colour;
 
         void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
-            float uv = texelFetch(u_uv, p, 0).r;
+            vec2 uv = texelFetch(u_uv, p, 0).rg;
+            if (solid(p)) {
+                colour.rg = uv;
+                return;
+            }
             float l = texelFetch(u_p, p - ivec2(1, 0), 0).r;
             float r = texelFetch(u_p, p + ivec2(1, 0), 0).r;
             float t = texelFetch(u_p, p - ivec2(0, 1), 0).r;
             float b = texelFetch(u_p, p + ivec2(0, 1), 0).r;
 
-            // todo
-            // when we combine uv into an actual thing with x and y and not
-            // just a per-direction ur and v map, then this can be removed and
-            // done in one go.
-            if (u_direction == 0) {
-                // left-right
-                colour.r = uv - 0.5 * (r - l) * 1. / u_h;
-            } else {
-                // up-down
-                colour.r = uv -0.5 * (b - t) * 1. / u_h;
-            }
+            // left-right for u, up-down for v.
+            colour.rg = uv - 0.5 * vec2(r - l, b - t) * 1. / u_h;
         }
         `;
 
@@ -498,71 +1096,190 @@ class GL {
             'u_uv',
             'u_p',
             'u_h',
-            'u_direction',
+            'u_obstacles',
+            'u_has_obstacles',
         ]);
     }
 
-    setupSetBoundary() {
+    setupConfine() {
         const { gl } = this;
 
+        // the curl of the velocity, the same as curl in solver.js.
         const fragment = `#version 300 es
         precision highp float;
-        uniform sampler2D u_x;
-        uniform int u_b;
+        uniform sampler2D u_uv;
+        ${OBSTACLES}
 
         out vec4 colour;
 
-        float get(int x, int y) {
-            return texelFetch(u_x, ivec2(x, y), 0).r;
-        }
-
         void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
-            ivec2 size = textureSize(u_x, 0);
-            size -= ivec2(2);
-
-            colour.r = get(p.x, p.y);
-
-            if (p.x == 0 && p.y >= 1) {
-                float mult = u_b == 1 ? -1. : 1.;
-                colour.r = mult * get(1, p.y);
-            }
-            if (p.x == size.x + 1 && p.y >= 1) {
-                float mult = u_b == 1 ? -1. : 1.;
-                colour.r = mult * get(size.x, p.y);
-            }
-            if (p.x >= 1 && p.y == 0) {
-                float mult = u_b == 2 ? -1. : 1.;
-                colour.r = mult * get(p.x, 1);
-            }
-            if (p.x >= 1 && p.y == size.y + 1) {
-                float mult = u_b == 2 ? -1. : 1.;
-                colour.r = mult * get(p.x, size.y);
+            ivec2 size = textureSize(u_uv, 0);
+            colour = vec4(0.);
+            if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2 || solid(p)) {
+                return;
+            }
+            float dv = texelFetch(u_uv, p + ivec2(1, 0), 0).g - texelFetch(u_uv, p - ivec2(1, 0), 0).g;
+            float du = texelFetch(u_uv, p + ivec2(0, 1), 0).r - texelFetch(u_uv, p - ivec2(0, 1), 0).r;
+            colour.r = 0.5 * float(size.x - 2) * (dv - du);
+        }
+        `;
+
+        this.shaders.vorticity = new Shader(gl, VERTEX, fragment);
+        this.shaders.vorticity.cacheUniformLocations(gl, [
+            'u_uv',
+            'u_obstacles',
+            'u_has_obstacles',
+        ]);
+
+        {
+            // pushes the velocity around the peaks of |curl|, the same as confine in solver.js.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_uv;
+            uniform sampler2D u_curl;
+            uniform float u_dt;
+            uniform float u_epsilon;
+            ${OBSTACLES}
+
+            out vec4 colour;
+
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                ivec2 size = textureSize(u_uv, 0);
+                vec2 uv = texelFetch(u_uv, p, 0).rg;
+                colour = vec4(uv, 0., 0.);
+                if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2 || solid(p)) {
+                    return;
+                }
+                float n = float(size.x - 2);
+                float l = abs(texelFetch(u_curl, p - ivec2(1, 0), 0).r);
+                float r = abs(texelFetch(u_curl, p + ivec2(1, 0), 0).r);
+                float b = abs(texelFetch(u_curl, p - ivec2(0, 1), 0).r);
+                float t = abs(texelFetch(u_curl, p + ivec2(0, 1), 0).r);
+                // N, the way to the biggest |curl| nearby.
+                vec2 gradient = 0.5 * n * vec2(r - l, t - b);
+                float len = length(gradient);
+                if (len < 1e-6) {
+                    return;
+                }
+                // epsilon * h * (N x curl), h being 1 / n.
+                float w = texelFetch(u_curl, p, 0).r;
+                colour.rg = uv + u_dt * u_epsilon / n * w / len * vec2(gradient.y, -gradient.x);
+            }
+            `;
+
+            this.shaders.confine = new Shader(gl, VERTEX, fragment);
+            this.shaders.confine.cacheUniformLocations(gl, [
+                'u_uv',
+                'u_curl',
+                'u_dt',
+                'u_epsilon',
+                'u_obstacles',
+                'u_has_obstacles',
+            ]);
+        }
+    }
+
+    setupSetBoundary() {
+        const { gl } = this;
+
+        const fragment = `#version 300 es
+        precision highp float;
+        uniform sampler2D u_x;
+        // 0 for scalars, 1 for velocity (u in r, v in g) and 3 for pressure.
+        uniform int u_b;
+        // see WALLS in common/obstacles.js
+        uniform int u_wall;
+        // edge types for left, right, bottom and top, see common/edges.js.
+        uniform ivec4 u_edges;
+        // the fixed velocity for inflow edges, same order.
+        uniform vec2 u_inflow[4];
+        ${OBSTACLES}
+
+        out vec4 colour;
+
+        // every channel, for the dye. velocity is in the first two.
+        vec4 get(int x, int y) {
+            return texelFetch(u_x, ivec2(x, y), 0);
+        }
+
+        // what a boundary cell gets, from the cell just inside it and the one just inside the
+        // opposite edge. normal flips the velocity component going through the edge, u on the
+        // left and right and v on the bottom and top.
+        vec4 edge(int type, vec2 inflow, vec2 normal, vec4 inside, vec4 opposite) {
+            if (type == ${EDGES.Periodic}) {
+                return opposite;
+            }
+            if (type == ${EDGES.Open}) {
+                // pressure (3) is held at 0 so the fluid can leave.
+                return u_b == 3 ? -inside : inside;
+            }
+            if (type == ${EDGES.Inflow}) {
+                return u_b == 1 ? vec4(inflow, 0., 0.) : inside;
+            }
+            return u_b == 1 ? vec4(normal, 1., 1.) * inside : inside;
+        }
+
+        void main(void) {
+            ivec2 p = ivec2(gl_FragCoord.xy);
+            ivec2 size = textureSize(u_x, 0);
+            size -= ivec2(2);
+
+            colour = get(p.x, p.y);
+
+            vec2 horizontal = vec2(-1., 1.);
+            vec2 vertical = vec2(1., -1.);
+            if (p.x == 0 && p.y >= 1) {
+                colour = edge(u_edges.x, u_inflow[0], horizontal, get(1, p.y), get(size.x, p.y));
+            }
+            if (p.x == size.x + 1 && p.y >= 1) {
+                colour = edge(u_edges.y, u_inflow[1], horizontal, get(size.x, p.y), get(1, p.y));
+            }
+            if (p.x >= 1 && p.y == 0) {
+                colour = edge(u_edges.z, u_inflow[2], vertical, get(p.x, 1), get(p.x, size.y));
+            }
+            if (p.x >= 1 && p.y == size.y + 1) {
+                colour = edge(u_edges.w, u_inflow[3], vertical, get(p.x, size.y), get(p.x, 1));
             }
 
             // corner overrides
             if (p.x == 0 && p.y == 0) {
-                colour.r = 0.5 * (get(1, 0) + get(0, 1));
+                colour = 0.5 * (get(1, 0) + get(0, 1));
             }
             if (p.x == 0 && p.y == size.y + 1) {
-                colour.r = 0.5 * (get(1, size.y + 1) + get(0, size.y));
+                colour = 0.5 * (get(1, size.y + 1) + get(0, size.y));
             }
             if (p.x == size.x + 1 && p.y == 0) {
-                colour.r = 0.5 * (get(size.x, 0) + get(size.x + 1, 1));
+                colour = 0.5 * (get(size.x, 0) + get(size.x + 1, 1));
             }
             if (p.x == size.x + 1 && p.y == size.y + 1) {
-                colour.r = 0.5 * (get(size.x, size.y + 1) + get(size.x + 1, size.y));
+                colour = 0.5 * (get(size.x, size.y + 1) + get(size.x + 1, size.y));
             }
             
-            // // Add a circular boundary in the middle
-            // // This will cause the fluid to flow around this like a dead zone.
-            // vec2 centre = vec2(size) * 0.5;
-            // vec2 fp = vec2(p);
-            // float radius = centre.x * 0.25;
-
-            // if (distance(centre, fp) < radius) {
-            //     colour.r = -1. * get(p.x, p.y);
-            // }
+            // Solid cells take their value from the fluid cells next to them, the same way the
+            // edge cells do above. Scalars are continuous. The velocity component going into the
+            // wall (u for a fluid cell to the left or right, v for one above or below) is reflected,
+            // and the one going along the wall is reflected too for no-slip, or kept for free-slip.
+            if (p.x >= 1 && p.y >= 1 && p.x <= size.x && p.y <= size.y && solid(p)) {
+                ivec2 neighbours[4] = ivec2[4](ivec2(-1, 0), ivec2(1, 0), ivec2(0, -1), ivec2(0, 1));
+                vec4 sum = vec4(0.);
+                float count = 0.;
+                float along = u_wall == ${WALLS.NoSlip} ? -1. : 1.;
+                for (int k = 0; k < 4; k++) {
+                    ivec2 q = p + neighbours[k];
+                    if (solid(q)) {
+                        continue;
+                    }
+                    vec4 mult = vec4(1.);
+                    if (u_b == 1) {
+                        mult.xy = k < 2 ? vec2(-1., along) : vec2(along, -1.);
+                    }
+                    sum += mult * get(q.x, q.y);
+                    count += 1.;
+                }
+                colour = count > 0. ? sum / count : vec4(0.);
+            }
         }
         `;
 
@@ -570,132 +1287,234 @@ class GL {
         this.shaders.setBoundary.cacheUniformLocations(gl, [
             'u_x',
             'u_b',
+            'u_wall',
+            'u_edges',
+            'u_inflow',
+            'u_obstacles',
+            'u_has_obstacles',
         ]);
     }
 
-    setupFade() {
+    setupBuoyancy() {
         const { gl } = this;
+
+        // the boussinesq force, the same as addBuoyancy in solver.js.
         const fragment = `#version 300 es
         precision highp float;
+        uniform sampler2D u_uv;
         uniform sampler2D u_x;
-        uniform float u_density_decay;
+        uniform sampler2D u_t;
+        uniform float u_dt;
+        // against gravity, length 1.
+        uniform vec2 u_up;
+        uniform float u_lift;
+        uniform float u_weight;
+        ${OBSTACLES}
 
         out vec4 colour;
 
         void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
+            ivec2 size = textureSize(u_uv, 0);
+            vec2 uv = texelFetch(u_uv, p, 0).rg;
+            colour = vec4(uv, 0., 0.);
+            if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2 || solid(p)) {
+                return;
+            }
+            float t = texelFetch(u_t, p, 0).r;
             float x = texelFetch(u_x, p, 0).r;
-            x -= u_density_decay;
-            x = clamp(x, 0., 255.);
-            colour.r = x;
+            colour.rg = uv + u_dt * (u_lift * t - u_weight * x) * u_up;
         }
         `;
 
-        this.shaders.fade = new Shader(gl, VERTEX, fragment);
-        this.shaders.fade.cacheUniformLocations(gl, [
+        this.shaders.buoyancy = new Shader(gl, VERTEX, fragment);
+        this.shaders.buoyancy.cacheUniformLocations(gl, [
+            'u_uv',
             'u_x',
-            'u_density_decay',
+            'u_t',
+            'u_dt',
+            'u_up',
+            'u_lift',
+            'u_weight',
+            'u_obstacles',
+            'u_has_obstacles',
         ]);
+
+        {
+            // the temperature going back to ambient.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_t;
+            uniform float u_factor;
+
+            out vec4 colour;
+
+            void main(void) {
+                colour = texelFetch(u_t, ivec2(gl_FragCoord.xy), 0) * u_factor;
+            }
+            `;
+
+            this.shaders.cool = new Shader(gl, VERTEX, fragment);
+            this.shaders.cool.cacheUniformLocations(gl, [
+                'u_t',
+                'u_factor',
+            ]);
+        }
     }
 
-    setupRender() {
+    setupFade() {
         const { gl } = this;
+        // u_field is the density itself, or the dye, which goes down by the same fraction so it
+        // keeps its colour.
         const fragment = `#version 300 es
         precision highp float;
         uniform sampler2D u_x;
+        uniform sampler2D u_field;
+        // see common/decay.js.
+        uniform float u_factor;
+        uniform float u_amount;
 
         out vec4 colour;
 
-        vec4 mouse_colour(void) {
+        void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
-            ivec2 size = textureSize(u_x, 0);
-
-            float density = texelFetch(u_x, p, 0).r;
-            float d = float(int(density * 255.));
-            float div = 1./255.;
-
-            vec4 c;
-            c.r = mod(density + 50., 255.) * div;
-            c.g = 200. * div;
-            c.b = d * div;
-            c.a = d * div;
-            return c;
+            float x = texelFetch(u_x, p, 0).r;
+            float faded = max(x * u_factor - u_amount, 0.);
+            float fraction = x > 0. ? faded / x : 0.;
+            colour = texelFetch(u_field, p, 0) * fraction;
         }
+        `;
 
-        vec4 fan_colour_green_white(void) {
-            // p coordinates are integer indices into the texture form [0, size]
-            // on both axes.
-            ivec2 p = ivec2(gl_FragCoord.xy);
-            ivec2 size = textureSize(u_x, 0);
+        this.shaders.fade = new Shader(gl, VERTEX, fragment);
+        this.shaders.fade.cacheUniformLocations(gl, [
+            'u_x',
+            'u_field',
+            'u_factor',
+            'u_amount',
+        ]);
 
-            vec4 c;
+        {
+            // each non-boundary cell of a field, every channel of it, for reduce to add up.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_x;
 
-            int density = int(texelFetch(u_x, p, 0).r);
-            // gives us a [0, 255] value.
-            float div = 1./255.;
-            float n_density = float(density) * div;
+            out vec4 colour;
 
-            c.r = float(density) * div;
-            c.g = 1.;
-            c.b = n_density;
-            c.a = n_density;
-            // return vec4(float(p.x) / float(size.x), float(p.y) / float(size.y), 0, 1.0);
-            return c;
+            void main(void) {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                ivec2 size = textureSize(u_x, 0);
+                colour = vec4(0.);
+                if (p.x < 1 || p.y < 1 || p.x > size.x - 2 || p.y > size.y - 2) {
+                    return;
+                }
+                colour = texelFetch(u_x, p, 0);
+            }
+            `;
+
+            this.shaders.total = new Shader(gl, VERTEX, fragment);
+            this.shaders.total.cacheUniformLocations(gl, [
+                'u_x',
+            ]);
         }
 
-        vec4 fan_colour_pink_blue(void) {
-            ivec2 p = ivec2(gl_FragCoord.xy);
-            ivec2 size = textureSize(u_x, 0);
+        {
+            // each channel of a field times its own factor.
+            const fragment = `#version 300 es
+            precision highp float;
+            uniform sampler2D u_x;
+            uniform vec4 u_factors;
 
-            float density = texelFetch(u_x, p, 0).r;
-            float d = float(int(density * 255.));
-            float div = 1./255.;
+            out vec4 colour;
 
-            vec4 c;
-            c.r = mod(density + 254., 255.) * div;
-            c.g = 1. * div;
-            c.b = d * div;
-            c.a = d * div;  
-            return c;
+            void main(void) {
+                colour = texelFetch(u_x, ivec2(gl_FragCoord.xy), 0) * u_factors;
+            }
+            `;
+
+            this.shaders.scale = new Shader(gl, VERTEX, fragment);
+            this.shaders.scale.cacheUniformLocations(gl, [
+                'u_x',
+                'u_factors',
+            ]);
         }
+    }
 
-        vec4 fan_colour_neon_blue(void) {
-            ivec2 p = ivec2(gl_FragCoord.xy);
-            ivec2 size = textureSize(u_x, 0);
+    setupRender() {
+        const { gl } = this;
+        const fragment = `#version 300 es
+        precision highp float;
+        uniform sampler2D u_dye;
+        uniform int u_viz_boundary;
+        // 1 if the view goes through 0 in the middle of the colour map.
+        uniform int u_signed;
+        uniform float u_range;
+        uniform int u_stop_count;
+        uniform float u_stop_position[${MAX_STOPS}];
+        uniform vec3 u_stop_colour[${MAX_STOPS}];
+        ${VIEW}
+        ${OBSTACLES}
+
+        out vec4 colour;
 
-            float density = texelFetch(u_x, p, 0).r;
-            float d = float(int(density * 255.));
-            float div = 1./255.;
+        vec3 dye_colour(ivec2 p) {
+            // brighter the more of it there is, without the colours clipping to white where it's
+            // thick.
+            vec3 dye = texelFetch(u_dye, p, 0).rgb;
+            return 1. - exp(-max(dye, 0.));
+        }
 
-            vec4 c;
-            c.r = 1. * div;
-            c.g = mod(density + 254., 255.) * div;
-            c.b = d * div;
-            c.a = d * div;
+        vec3 colour_map(float t) {
+            // colourAt from common/views.js.
+            vec3 c = u_stop_colour[0];
+            for (int k = 1; k < ${MAX_STOPS}; k++) {
+                if (k >= u_stop_count) {
+                    break;
+                }
+                float a = u_stop_position[k - 1];
+                float b = u_stop_position[k];
+                if (t >= a) {
+                    float s = b > a ? clamp((t - a) / (b - a), 0., 1.) : 1.;
+                    c = mix(u_stop_colour[k - 1], u_stop_colour[k], s);
+                }
+            }
             return c;
         }
 
         void main(void) {
             ivec2 p = ivec2(gl_FragCoord.xy);
             ivec2 size = textureSize(u_x, 0);
-            
-            // TODO
-            // always use mouse_colour til i can figure out the random black
-            // pixels in fan_colour? 1 = mouse, 3 = mouseauto
-            colour = ${this.mode === 1 || this.mode === 3? 'mouse_colour()' : 'fan_colour_green_white()'};
-            // colour = mouse_colour();
-
-            // float density = texelFetch(u_x, p, 0).r
-            // colour = vec4(density);
-            if (p.x < 2 || p.y < 2 || p.x >= size.x - 2 || p.y > size.y - 2) {
+
+            if (u_view == ${VIEWS.Dye}) {
+                colour = vec4(dye_colour(p), 1.);
+            } else {
+                float value = view_value(p) / u_range;
+                float t = u_signed == 1 ? 0.5 + 0.5 * value : value;
+                colour = vec4(colour_map(clamp(t, 0., 1.)), 1.);
+            }
+
+            if (u_viz_boundary == 1 && (p.x < 2 || p.y < 2 || p.x >= size.x - 2 || p.y > size.y - 2)) {
                 colour = vec4(1.);
             }
+            if (solid(p)) {
+                colour = vec4(0.5, 0.5, 0.5, 1.);
+            }
         }
         `;
 
         this.shaders.render = new Shader(gl, VERTEX, fragment);
         this.shaders.render.cacheUniformLocations(gl, [
-            'u_x',
+            ...VIEW_SAMPLERS,
+            'u_dye',
+            'u_view',
+            'u_viz_boundary',
+            'u_signed',
+            'u_range',
+            'u_stop_count',
+            'u_stop_position',
+            'u_stop_colour',
+            'u_obstacles',
+            'u_has_obstacles',
         ]);
     }
 
@@ -719,14 +1538,54 @@ class GL {
             //     this.textures[`${k}Next`] = this.createTexture(new Float32Array(size * size));
             // }
 
-            this.textures[k] = this.createTexture(new Float32Array(size * size));
+            if (k.endsWith('Next')) {
+                return;
+            }
+            const channels = CHANNELS[k] ?? 1;
+            const [internalFormat, format] = this.formats(channels);
+            this.textures[k] = this.createTexture(new Float32Array(size * size * channels), internalFormat, format);
             // *Next is needed for when * needs to update itself, e.g. with setBoundary
-            this.textures[`${k}Next`] = this.createTexture(new Float32Array(size * size));
+            this.textures[`${k}Next`] = this.createTexture(new Float32Array(size * size * channels), internalFormat, format);
         });
     }
 
-    createTexture(data, internalFormat, format) {
-        const { gl, size } = this;
+    formats(channels) {
+        // internal format and format for a texture with this many channels.
+        const { gl } = this;
+        if (channels === 4) {
+            return [gl.RGBA32F, gl.RGBA];
+        }
+        return channels === 2 ? [gl.RG32F, gl.RG] : [gl.R32F, gl.RED];
+    }
+
+    resize(size) {
+        // Everything sized by the grid gets thrown away and made again at the new size, starting
+        // from nothing. Obstacles go too, they need setting again for the new grid.
+        const { gl } = this;
+        const textures = [
+            ...Object.values(this.textures),
+            ...(this.reduction ?? []).map(r => r.texture),
+            // level 0 of multigrid borrows its x and b from this.textures.
+            ...(this.multigrid ?? []).flatMap((level, l) => (l === 0 ? [level.r] : [level.x, level.xNext, level.b, level.r])),
+            this.obstacles.texture,
+        ];
+        textures.forEach(texture => gl.deleteTexture(texture));
+
+        this.size = size;
+        gl.canvas.width = size;
+        gl.canvas.height = size;
+
+        this.setupTextures();
+        this.reduction = null;
+        this.multigrid = null;
+        this.obstacles.texture = this.createTexture(new Float32Array(size * size));
+        this.obstacles.enabled = false;
+
+        gl.viewport(0, 0, size, size);
+    }
+
+    createTexture(data, internalFormat, format, size = this.size) {
+        const { gl } = this;
 
         // internal format e.g. R32F, RGBA, etc.
         // format e.g. RED, RG, RGBA, etc.
@@ -739,10 +1598,10 @@ class GL {
         }
 
         // only supporting these floats for now.
-        if (internalFormat !== gl.R32F && internalFormat !== gl.RG32F) {
+        if (internalFormat !== gl.R32F && internalFormat !== gl.RG32F && internalFormat !== gl.RGBA32F) {
             throw new Error("Invalid internal format");
         }
-        if (format !== gl.RED && format !== gl.RG) {
+        if (format !== gl.RED && format !== gl.RG && format !== gl.RGBA) {
             throw new Error("Invalid format");
         }
 
@@ -833,109 +1692,148 @@ class GL {
         }
     }
 
-    addFanDensityForces(sourceDensity) {
+    addEmitters(emitters) {
+        // a pass over each of density, dye, temperature and velocity for up to MAX_EMITTERS at once, see
+        // common/emitters.js. emitters are the ones that are on, from activeEmitters.
         const { gl } = this;
-        {
-            const sourceTex = this.textures.x;
-            const targetTex = this.textures.xNext;
+        const n = this.size - 2;
+        for (let first = 0; first < emitters.length; first += MAX_EMITTERS) {
+            const batch = emitters.slice(first, first + MAX_EMITTERS);
+            const types = new Int32Array(MAX_EMITTERS);
+            const profiles = new Int32Array(MAX_EMITTERS);
+            const shapes = new Float32Array(MAX_EMITTERS * 4);
+            const widths = new Float32Array(MAX_EMITTERS);
+            const densities = new Float32Array(MAX_EMITTERS * 4);
+            const heats = new Float32Array(MAX_EMITTERS * 4);
+            const dyes = new Float32Array(MAX_EMITTERS * 4);
+            const velocities = new Float32Array(MAX_EMITTERS * 2);
+            batch.forEach((emitter, k) => {
+                types[k] = EMITTER_INDEX.indexOf(emitter.type);
+                profiles[k] = PROFILE_INDEX.indexOf(emitter.profile);
+                // in cells, same as the cpu.
+                const shape = emitter.type === EMITTER_TYPES.Point
+                    ? [emitter.x, emitter.y, emitter.radius, 0]
+                    : emitter.type === EMITTER_TYPES.Line
+                        ? [emitter.x0, emitter.y0, emitter.x1, emitter.y1]
+                        : [emitter.x, emitter.y, emitter.width, emitter.height];
+                shapes.set(shape.map(value => value * n), k * 4);
+                widths[k] = emitter.width * n;
+                densities[k * 4] = emitter.density;
+                heats[k * 4] = emitter.heat;
+                dyes.set(emitter.colour.map(c => emitter.density * c), k * 4);
+                velocities.set(emitterVelocity(emitter), k * 2);
+            });
+            const setEmitters = (shader) => {
+                gl.uniform1i(shader.u_countLocation, batch.length);
+                gl.uniform1iv(shader.u_typeLocation, types);
+                gl.uniform1iv(shader.u_profileLocation, profiles);
+                gl.uniform4fv(shader.u_shapeLocation, shapes);
+                gl.uniform1fv(shader.u_widthLocation, widths);
+            };
+            // the temperature only needs a pass if something's heating it.
+            const fields = [['x', densities], ['dye', dyes]];
+            if (batch.some(emitter => emitter.heat)) {
+                fields.push(['t', heats]);
+            }
+            fields.forEach(([field, amounts]) => {
+                const sourceTex = this.textures[field];
+                const targetTex = this.textures[`${field}Next`];
 
-            this.setFramebufferTexture(targetTex);
+                this.setFramebufferTexture(targetTex);
 
-            gl.clear(gl.COLOR_BUFFER_BIT);
-            
-            gl.useProgram(this.shaders.addFanDensity.program);
+                gl.clear(gl.COLOR_BUFFER_BIT);
 
-            gl.activeTexture(gl.TEXTURE0);
-            gl.uniform1i(this.shaders.addFanDensity.u_xLocation, 0);
-            gl.bindTexture(gl.TEXTURE_2D, sourceTex);
+                gl.useProgram(this.shaders.addEmitterDensity.program);
 
-            gl.uniform1f(this.shaders.addFanDensity.u_source_densityLocation, sourceDensity);
+                gl.activeTexture(gl.TEXTURE0);
+                gl.uniform1i(this.shaders.addEmitterDensity.u_xLocation, 0);
+                gl.bindTexture(gl.TEXTURE_2D, sourceTex);
 
-            this.quad.draw(gl);
+                gl.uniform4fv(this.shaders.addEmitterDensity.u_amountLocation, amounts);
+                setEmitters(this.shaders.addEmitterDensity);
 
-            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                this.quad.draw(gl);
 
-            this.textures.x = targetTex;
-            this.textures.xNext = sourceTex;
-        }
-        {
-            const sourceTex = this.textures.u;
-            const targetTex = this.textures.uNext;
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-            this.setFramebufferTexture(targetTex);
+                this.textures[field] = targetTex;
+                this.textures[`${field}Next`] = sourceTex;
+            });
+            {
+                const sourceTex = this.textures.uv;
+                const targetTex = this.textures.uvNext;
 
-            gl.clear(gl.COLOR_BUFFER_BIT);
-            
-            gl.useProgram(this.shaders.addFanVelocity.program);
+                this.setFramebufferTexture(targetTex);
 
-            gl.activeTexture(gl.TEXTURE0);
-            gl.uniform1i(this.shaders.addFanVelocity.u_xLocation, 0);
-            gl.bindTexture(gl.TEXTURE_2D, sourceTex);
+                gl.clear(gl.COLOR_BUFFER_BIT);
 
-            this.quad.draw(gl);
+                gl.useProgram(this.shaders.addEmitterVelocity.program);
 
-            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                gl.activeTexture(gl.TEXTURE0);
+                gl.uniform1i(this.shaders.addEmitterVelocity.u_uvLocation, 0);
+                gl.bindTexture(gl.TEXTURE_2D, sourceTex);
 
-            this.textures.u = targetTex;
-            this.textures.uNext = sourceTex;
-        }
-    }
+                gl.uniform2fv(this.shaders.addEmitterVelocity.u_velocityLocation, velocities);
+                setEmitters(this.shaders.addEmitterVelocity);
 
-    addMouseDensityForces(sourceDensity, target, xVelocity, yVelocity) {
-        const { gl } = this;
-        {
-            const sourceTex = this.textures.x;
-            const targetTex = this.textures.xNext;
+                this.quad.draw(gl);
 
-            this.setFramebufferTexture(targetTex);
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-            gl.clear(gl.COLOR_BUFFER_BIT);
-            
-            gl.useProgram(this.shaders.addMouseDensity.program);
-
-            gl.activeTexture(gl.TEXTURE0);
-            gl.uniform1i(this.shaders.addMouseDensity.u_xLocation, 0);
-            gl.bindTexture(gl.TEXTURE_2D, sourceTex);
-
-            gl.uniform1f(this.shaders.addMouseDensity.u_source_densityLocation, sourceDensity);
-            gl.uniform2iv(this.shaders.addMouseDensity.u_targetLocation, target);
-
-            this.quad.draw(gl);
-
-            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                this.textures.uv = targetTex;
+                this.textures.uvNext = sourceTex;
+            }
+        }
+    }
 
-            this.textures.x = targetTex;
-            this.textures.xNext = sourceTex;
+    addMouseDensityForces(sourceDensity, target, xVelocity, yVelocity, force = 15, brush = DEFAULT_BRUSH) {
+        // paints the brush along the stroke to target from where the pointer was, see common/brush.js.
+        const { gl, size } = this;
+        // int cast, same as the cpu.
+        const end = [target[0] | 0, target[1] | 0];
+        const start = [(target[0] - xVelocity) | 0, (target[1] - yVelocity) | 0];
+        if (end[0] < 1 || end[1] < 1 || end[0] > size - 2 || end[1] > size - 2) {
+            return;
         }
-        // TODO
-        // Combine u and v into one pass.
-        {
-            const sourceTex = this.textures.u;
-            const targetTex = this.textures.uNext;
+        const { shape, radius, falloff, density, velocity, colour } = normalizeBrush(brush);
+        const amount = sourceDensity * density;
+        const setBrush = (shader) => {
+            gl.uniform2f(shader.u_fromLocation, start[0], start[1]);
+            gl.uniform2f(shader.u_targetLocation, end[0], end[1]);
+            gl.uniform1i(shader.u_brush_shapeLocation, shape);
+            gl.uniform1f(shader.u_brush_radiusLocation, radius);
+            gl.uniform1i(shader.u_brush_falloffLocation, falloff);
+        };
+        [
+            ['x', [amount, 0, 0, 0]],
+            ['dye', [...(colour ?? [1, 1, 1]).map(c => amount * c), 0]],
+        ].forEach(([field, added]) => {
+            const sourceTex = this.textures[field];
+            const targetTex = this.textures[`${field}Next`];
 
             this.setFramebufferTexture(targetTex);
 
             gl.clear(gl.COLOR_BUFFER_BIT);
             
-            gl.useProgram(this.shaders.addMouseVelocity.program);
+            gl.useProgram(this.shaders.addMouseDensity.program);
 
             gl.activeTexture(gl.TEXTURE0);
-            gl.uniform1i(this.shaders.addMouseVelocity.u_uvLocation, 0);
+            gl.uniform1i(this.shaders.addMouseDensity.u_xLocation, 0);
             gl.bindTexture(gl.TEXTURE_2D, sourceTex);
 
-            gl.uniform2iv(this.shaders.addMouseVelocity.u_targetLocation, target);
-            gl.uniform1f(this.shaders.addMouseVelocity.u_velocityLocation, xVelocity);
+            gl.uniform4fv(this.shaders.addMouseDensity.u_amountLocation, added);
+            setBrush(this.shaders.addMouseDensity);
 
             this.quad.draw(gl);
 
             gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-            this.textures.u = targetTex;
-            this.textures.uNext = sourceTex;
-        }
+            this.textures[field] = targetTex;
+            this.textures[`${field}Next`] = sourceTex;
+        });
         {
-            const sourceTex = this.textures.v;
-            const targetTex = this.textures.vNext;
+            const sourceTex = this.textures.uv;
+            const targetTex = this.textures.uvNext;
 
             this.setFramebufferTexture(targetTex);
 
@@ -947,19 +1845,20 @@ class GL {
             gl.uniform1i(this.shaders.addMouseVelocity.u_uvLocation, 0);
             gl.bindTexture(gl.TEXTURE_2D, sourceTex);
 
-            gl.uniform2iv(this.shaders.addMouseVelocity.u_targetLocation, target);
-            gl.uniform1f(this.shaders.addMouseVelocity.u_velocityLocation, yVelocity);
+            gl.uniform2f(this.shaders.addMouseVelocity.u_velocityLocation, xVelocity, yVelocity);
+            gl.uniform1f(this.shaders.addMouseVelocity.u_forceLocation, force * velocity);
+            setBrush(this.shaders.addMouseVelocity);
 
             this.quad.draw(gl);
 
             gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-            this.textures.v = targetTex;
-            this.textures.vNext = sourceTex;
+            this.textures.uv = targetTex;
+            this.textures.uvNext = sourceTex;
         }
     }
 
-    solveLinear(x, x0, a, c) {
+    solveLinear(x, x0, a, c, parity = -1) {
         // x is target, x0 is source.
         const { gl } = this;
 
@@ -983,6 +1882,8 @@ class GL {
 
         gl.uniform1f(this.shaders.solveLinear.u_aLocation, a);
         gl.uniform1f(this.shaders.solveLinear.u_cLocation, c);
+        gl.uniform1i(this.shaders.solveLinear.u_parityLocation, parity);
+        this.bindObstacles(this.shaders.solveLinear, 2);
 
         this.quad.draw(gl);
 
@@ -992,11 +1893,296 @@ class GL {
         this.textures[`${x}Next`] = xTex;
     }
 
-    divergence(h, target, u, v) {
+    setObstacles(mask, wall = WALLS.NoSlip) {
+        // mask is a float per cell, 1 for solid, see common/obstacles.js. null clears it.
+        const { gl, size } = this;
+        this.obstacles.wall = wall;
+        this.obstacles.enabled = !!mask && mask.some(m => m > 0.5);
+        if (!this.obstacles.enabled) {
+            return;
+        }
+        gl.bindTexture(gl.TEXTURE_2D, this.obstacles.texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, size, size, gl.RED, gl.FLOAT, mask);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    bindObstacles(shader, unit, enabled = this.obstacles.enabled) {
+        const { gl } = this;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.uniform1i(shader.u_obstaclesLocation, unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.obstacles.texture);
+        gl.uniform1i(shader.u_has_obstaclesLocation, enabled ? 1 : 0);
+    }
+
+    setEdges(edges) {
+        this.edges = normalizeEdges(edges);
+    }
+
+    bindEdges(shader) {
+        const { gl, edges } = this;
+        gl.uniform4iv(shader.u_edgesLocation, SIDES.map(side => edges[side].type));
+        gl.uniform2fv(shader.u_inflowLocation, SIDES.flatMap(side => [edges[side].u, edges[side].v]));
+    }
+
+    pass(shader, target, samplers, setUniforms, size = this.size) {
+        // Draws the quad into the target texture with samplers ({ u_name: texture }) bound in order.
+        // For the textures that aren't in this.textures, or aren't this.size.
+        const { gl } = this;
+
+        this.setFramebufferTexture(target);
+        gl.viewport(0, 0, size, size);
+
+        gl.useProgram(shader.program);
+
+        Object.keys(samplers).forEach((name, i) => {
+            gl.activeTexture(gl.TEXTURE0 + i);
+            gl.uniform1i(shader[`${name}Location`], i);
+            gl.bindTexture(gl.TEXTURE_2D, samplers[name]);
+        });
+
+        if (setUniforms) {
+            setUniforms(gl, shader);
+        }
+
+        this.quad.draw(gl);
+
+        gl.viewport(0, 0, this.size, this.size);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    setupReduction() {
+        const { gl } = this;
+        if (this.reduction) {
+            return;
+        }
+        // 1026 => 257 => 65 => 17 => 5
+        this.reduction = [];
+        let size = this.size;
+        while (true) {
+            // all four channels, so total can add up the dye's r, g and b in one go.
+            this.reduction.push({ size, texture: this.createTexture(null, gl.RGBA32F, gl.RGBA, size) });
+            if (size <= 8) {
+                break;
+            }
+            size = Math.ceil(size / 4);
+        }
+    }
+
+    reduce(max = false) {
+        // adds up (or takes the largest of) what's been drawn into the first reduction texture, and
+        // reads back what's left.
+        const { gl } = this;
+        for (let i = 1; i < this.reduction.length; i++) {
+            const { size, texture } = this.reduction[i];
+            this.pass(this.shaders.reduce, texture, { u_x: this.reduction[i - 1].texture }, (gl, shader) => {
+                gl.uniform1i(shader.u_maxLocation, max ? 1 : 0);
+            }, size);
+        }
+
+        // This is the round trip that stalls everything until the gpu catches up, so the pressure
+        // solvers only do it every few iterations, and the cfl timestep once a frame.
+        const last = this.reduction[this.reduction.length - 1];
+        const pixels = new Float32Array(last.size * last.size * 4);
+        this.setFramebufferTexture(last.texture);
+        gl.readPixels(0, 0, last.size, last.size, gl.RGBA, gl.FLOAT, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return pixels;
+    }
+
+    maxSpeed(uv) {
+        this.setupReduction();
+        this.pass(this.shaders.speed, this.reduction[0].texture, { u_uv: this.textures[uv] });
+        const pixels = this.reduce(true);
+        let speed = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            speed = Math.max(speed, pixels[i]);
+        }
+        return speed;
+    }
+
+    readVelocity(m) {
+        // see readVelocity in solver.js. a round trip to the gpu, but only m x m of it.
+        const { gl } = this;
+        if (this.sampled?.m !== m) {
+            if (this.sampled) {
+                gl.deleteTexture(this.sampled.texture);
+            }
+            this.sampled = { m, texture: this.createTexture(null, gl.RG32F, gl.RG, m) };
+        }
+        const { texture } = this.sampled;
+        this.pass(this.shaders.sampleVelocity, texture, { u_uv: this.textures.uv }, (gl, shader) => {
+            gl.uniform1f(shader.u_mLocation, m);
+        }, m);
+
+        const pixels = new Float32Array(m * m * 4);
+        this.setFramebufferTexture(texture);
+        gl.readPixels(0, 0, m, m, gl.RGBA, gl.FLOAT, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        const velocity = { m, u: new Float32Array(m * m), v: new Float32Array(m * m) };
+        for (let k = 0; k < m * m; k++) {
+            velocity.u[k] = pixels[k * 4];
+            velocity.v[k] = pixels[k * 4 + 1];
+        }
+        return velocity;
+    }
+
+    totalDensity() {
+        return this.total('x')[0];
+    }
+
+    total(field) {
+        // a total for each channel the field has, see common/advection.js. a round trip.
+        this.setupReduction();
+        this.pass(this.shaders.total, this.reduction[0].texture, { u_x: this.textures[field] });
+        const pixels = this.reduce();
+        const totals = new Array(CHANNELS[field] ?? 1).fill(0);
+        for (let i = 0; i < pixels.length; i += 4) {
+            totals.forEach((_, k) => totals[k] += pixels[i + k]);
+        }
+        return totals;
+    }
+
+    scale(field, factors) {
+        const tex = this.textures[field];
+        const texNext = this.textures[`${field}Next`];
+        const [r = 1, g = 1, b = 1, a = 1] = factors;
+        this.pass(this.shaders.scale, texNext, { u_x: tex }, (gl, shader) => {
+            gl.uniform4f(shader.u_factorsLocation, r, g, b, a);
+        });
+        this.textures[field] = texNext;
+        this.textures[`${field}Next`] = tex;
+    }
+
+    residual(x, x0, a, c) {
+        this.setupReduction();
+
+        const first = this.reduction[0];
+        this.pass(this.shaders.residual, first.texture, {
+            u_x: this.textures[x],
+            u_x0: this.textures[x0],
+        }, (gl, shader) => {
+            gl.uniform1f(shader.u_aLocation, a);
+            gl.uniform1f(shader.u_cLocation, c);
+            gl.uniform1i(shader.u_normLocation, 1);
+            this.bindObstacles(shader, 2);
+        });
+
+        const pixels = this.reduce();
+        let rr = 0;
+        let bb = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            rr += pixels[i];
+            bb += pixels[i + 1];
+        }
+        return bb === 0 ? Math.sqrt(rr) : Math.sqrt(rr / bb);
+    }
+
+    setupMultigrid() {
+        const { gl } = this;
+        // Each level halves the grid, down to 4x4 or to where it can't be halved evenly anymore.
+        // Level 0 is the actual grid, which uses the textures it gets passed plus a residual.
+        // Obstacles only get used on level 0, the coarser grids just help it along.
+        this.multigrid = [{
+            size: this.size,
+            r: this.createTexture(null, gl.R32F, gl.RED),
+            obstacles: true,
+        }];
+        let n = this.size - 2;
+        while (n % 2 === 0 && n / 2 >= 4) {
+            n /= 2;
+            const size = n + 2;
+            this.multigrid.push({
+                size,
+                x: this.createTexture(null, gl.R32F, gl.RED, size),
+                xNext: this.createTexture(null, gl.R32F, gl.RED, size),
+                b: this.createTexture(null, gl.R32F, gl.RED, size),
+                r: this.createTexture(null, gl.R32F, gl.RED, size),
+                obstacles: false,
+            });
+        }
+    }
+
+    relaxLevel(level, iterations) {
+        // red-black gauss-seidel on 4x - (neighbours of x) = b, see solveLinear.
+        const { shaders } = this;
+        for (let k = 0; k < iterations; k++) {
+            [0, 1].forEach(parity => {
+                this.pass(shaders.solveLinear, level.xNext, { u_x: level.x, u_x0: level.b }, (gl, shader) => {
+                    gl.uniform1f(shader.u_aLocation, 1);
+                    gl.uniform1f(shader.u_cLocation, 4);
+                    gl.uniform1i(shader.u_parityLocation, parity);
+                    this.bindObstacles(shader, 2, level.obstacles && this.obstacles.enabled);
+                }, level.size);
+                [level.x, level.xNext] = [level.xNext, level.x];
+            });
+            this.pass(shaders.setBoundary, level.xNext, { u_x: level.x }, (gl, shader) => {
+                gl.uniform1i(shader.u_bLocation, 3);
+                this.bindEdges(shader);
+                this.bindObstacles(shader, 1, level.obstacles && this.obstacles.enabled);
+            }, level.size);
+            [level.x, level.xNext] = [level.xNext, level.x];
+        }
+    }
+
+    vcycleLevel(l) {
+        const { shaders } = this;
+        const level = this.multigrid[l];
+        const coarse = this.multigrid[l + 1];
+
+        if (!coarse) {
+            // as good as it gets on the coarsest grid, it's tiny so this is cheap.
+            this.relaxLevel(level, 20);
+            return;
+        }
+
+        this.relaxLevel(level, 2);
+
+        this.pass(shaders.residual, level.r, { u_x: level.x, u_x0: level.b }, (gl, shader) => {
+            gl.uniform1f(shader.u_aLocation, 1);
+            gl.uniform1f(shader.u_cLocation, 4);
+            gl.uniform1i(shader.u_normLocation, 0);
+            this.bindObstacles(shader, 2, level.obstacles && this.obstacles.enabled);
+        }, level.size);
+        this.pass(shaders.restrict, coarse.b, { u_r: level.r }, null, coarse.size);
+
+        // solve for the correction from scratch.
+        this.clearTexture(coarse.x);
+
+        this.vcycleLevel(l + 1);
+
+        this.pass(shaders.prolong, level.xNext, { u_x: level.x, u_e: coarse.x }, null, level.size);
+        [level.x, level.xNext] = [level.xNext, level.x];
+        this.pass(shaders.setBoundary, level.xNext, { u_x: level.x }, (gl, shader) => {
+            gl.uniform1i(shader.u_bLocation, 3);
+            this.bindEdges(shader);
+            this.bindObstacles(shader, 1, level.obstacles && this.obstacles.enabled);
+        }, level.size);
+        [level.x, level.xNext] = [level.xNext, level.x];
+
+        this.relaxLevel(level, 2);
+    }
+
+    vcycle(x, x0) {
+        // one multigrid V-cycle for the pressure equation, 4x - (neighbours of x) = x0.
+        if (!this.multigrid) {
+            this.setupMultigrid();
+        }
+        const level = this.multigrid[0];
+        level.x = this.textures[x];
+        level.xNext = this.textures[`${x}Next`];
+        level.b = this.textures[x0];
+
+        this.vcycleLevel(0);
+
+        this.textures[x] = level.x;
+        this.textures[`${x}Next`] = level.xNext;
+    }
+
+    divergence(h, target, uv) {
         const { gl } = this;
 
-        const uTex = this.textures[u];
-        const vTex = this.textures[v];
+        const uvTex = this.textures[uv];
 
         const targetTex = this.textures[target];
         this.setFramebufferTexture(targetTex);
@@ -1006,23 +2192,18 @@ class GL {
         gl.useProgram(this.shaders.divergence.program);
 
         gl.activeTexture(gl.TEXTURE0);
-        gl.uniform1i(this.shaders.divergence.u_uLocation, 0);
-        gl.bindTexture(gl.TEXTURE_2D, uTex);
-
-        gl.activeTexture(gl.TEXTURE1);
-        gl.uniform1i(this.shaders.divergence.u_vLocation, 1);
-        gl.bindTexture(gl.TEXTURE_2D, vTex);
+        gl.uniform1i(this.shaders.divergence.u_uvLocation, 0);
+        gl.bindTexture(gl.TEXTURE_2D, uvTex);
 
         gl.uniform1f(this.shaders.divergence.u_hLocation, h);
+        this.bindObstacles(this.shaders.divergence, 1);
 
         this.quad.draw(gl);
 
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
 
-    velocity(h, uv, p, direction) {
-        // todo
-        // should combine u and v into one.
+    subtractGradient(h, uv, p) {
         const { gl } = this;
 
         const uvTex = this.textures[uv];
@@ -1044,7 +2225,7 @@ class GL {
         gl.bindTexture(gl.TEXTURE_2D, pTex);
 
         gl.uniform1f(this.shaders.velocity.u_hLocation, h);
-        gl.uniform1i(this.shaders.velocity.u_directionLocation, direction);
+        this.bindObstacles(this.shaders.velocity, 2);
 
         this.quad.draw(gl);
 
@@ -1054,12 +2235,60 @@ class GL {
         this.textures[`${uv}Next`] = uvTex;
     }
 
-    advect(dt0, target, source, u, v) {
+    vorticity(target, uv) {
+        this.pass(this.shaders.vorticity, this.textures[target], { u_uv: this.textures[uv] }, (gl, shader) => {
+            this.bindObstacles(shader, 1);
+        });
+    }
+
+    confine(dt, epsilon, uv, curl) {
+        const uvTex = this.textures[uv];
+        const uvTexNext = this.textures[`${uv}Next`];
+        this.pass(this.shaders.confine, uvTexNext, {
+            u_uv: uvTex,
+            u_curl: this.textures[curl],
+        }, (gl, shader) => {
+            gl.uniform1f(shader.u_dtLocation, dt);
+            gl.uniform1f(shader.u_epsilonLocation, epsilon);
+            this.bindObstacles(shader, 2);
+        });
+        this.textures[uv] = uvTexNext;
+        this.textures[`${uv}Next`] = uvTex;
+    }
+
+    addBuoyancy(dt, up, lift, weight) {
+        const uvTex = this.textures.uv;
+        const uvTexNext = this.textures.uvNext;
+        this.pass(this.shaders.buoyancy, uvTexNext, {
+            u_uv: uvTex,
+            u_x: this.textures.x,
+            u_t: this.textures.t,
+        }, (gl, shader) => {
+            gl.uniform1f(shader.u_dtLocation, dt);
+            gl.uniform2f(shader.u_upLocation, up[0], up[1]);
+            gl.uniform1f(shader.u_liftLocation, lift);
+            gl.uniform1f(shader.u_weightLocation, weight);
+            this.bindObstacles(shader, 3);
+        });
+        this.textures.uv = uvTexNext;
+        this.textures.uvNext = uvTex;
+    }
+
+    cool(factor) {
+        const tTex = this.textures.t;
+        const tTexNext = this.textures.tNext;
+        this.pass(this.shaders.cool, tTexNext, { u_t: tTex }, (gl, shader) => {
+            gl.uniform1f(shader.u_factorLocation, factor);
+        });
+        this.textures.t = tTexNext;
+        this.textures.tNext = tTex;
+    }
+
+    advect(dt0, target, source, uv) {
         const { gl } = this;
 
         const sourceTex = this.textures[source];
-        const uTex = this.textures[u];
-        const vTex = this.textures[v];
+        const uvTex = this.textures[uv];
 
         const targetTex = this.textures[target];
         this.setFramebufferTexture(targetTex);
@@ -1073,19 +2302,51 @@ class GL {
         gl.bindTexture(gl.TEXTURE_2D, sourceTex);
 
         gl.activeTexture(gl.TEXTURE1);
-        gl.uniform1i(this.shaders.advect.u_uLocation, 1);
-        gl.bindTexture(gl.TEXTURE_2D, uTex);
-
-        gl.activeTexture(gl.TEXTURE2);
-        gl.uniform1i(this.shaders.advect.u_vLocation, 2);
-        gl.bindTexture(gl.TEXTURE_2D, vTex);
+        gl.uniform1i(this.shaders.advect.u_uvLocation, 1);
+        gl.bindTexture(gl.TEXTURE_2D, uvTex);
 
         gl.uniform1f(this.shaders.advect.u_dt0Location, dt0);
+        gl.uniform2i(
+            this.shaders.advect.u_periodicLocation,
+            this.edges.left.type === EDGES.Periodic ? 1 : 0,
+            this.edges.bottom.type === EDGES.Periodic ? 1 : 0,
+        );
+        this.bindObstacles(this.shaders.advect, 2);
         this.quad.draw(gl);
 
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
 
+    correct(target, base, source, backward) {
+        const next = this.textures[`${target}Next`];
+        this.pass(this.shaders.correct, next, {
+            u_base: this.textures[base],
+            u_source: this.textures[source],
+            u_backward: this.textures[backward],
+        });
+        this.textures[`${target}Next`] = this.textures[target];
+        this.textures[target] = next;
+    }
+
+    limit(target, source, uv, dt0) {
+        const next = this.textures[`${target}Next`];
+        this.pass(this.shaders.limit, next, {
+            u_target: this.textures[target],
+            u_source: this.textures[source],
+            u_uv: this.textures[uv],
+        }, (gl, shader) => {
+            gl.uniform1f(shader.u_dt0Location, dt0);
+            gl.uniform2i(
+                shader.u_periodicLocation,
+                this.edges.left.type === EDGES.Periodic ? 1 : 0,
+                this.edges.bottom.type === EDGES.Periodic ? 1 : 0,
+            );
+            this.bindObstacles(shader, 3);
+        });
+        this.textures[`${target}Next`] = this.textures[target];
+        this.textures[target] = next;
+    }
+
     setBoundary(target, boundary) {
         const { gl } = this;
 
@@ -1103,6 +2364,9 @@ class GL {
         gl.bindTexture(gl.TEXTURE_2D, xTex);
 
         gl.uniform1i(this.shaders.setBoundary.u_bLocation, boundary);
+        gl.uniform1i(this.shaders.setBoundary.u_wallLocation, this.obstacles.wall);
+        this.bindEdges(this.shaders.setBoundary);
+        this.bindObstacles(this.shaders.setBoundary, 1);
         this.quad.draw(gl);
 
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
@@ -1110,49 +2374,139 @@ class GL {
         this.textures[`${target}Next`] = xTex;
     }
 
-    fade(densityDecay) {
+    fade(factor, amount) {
+        // the dye first, it needs the density from before it fades.
         const { gl } = this;
-        const sourceTex = this.textures.x;
-        const targetTex = this.textures.xNext;
+        ['dye', 'x'].forEach(field => {
+            const sourceTex = this.textures[field];
+            const targetTex = this.textures[`${field}Next`];
 
-        this.setFramebufferTexture(targetTex);
+            this.setFramebufferTexture(targetTex);
 
-        gl.clear(gl.COLOR_BUFFER_BIT);
-        
-        gl.useProgram(this.shaders.fade.program);
+            gl.clear(gl.COLOR_BUFFER_BIT);
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.uniform1i(this.shaders.fade.u_xLocation, 0);
-        gl.bindTexture(gl.TEXTURE_2D, sourceTex);
+            gl.useProgram(this.shaders.fade.program);
 
-        gl.uniform1f(this.shaders.fade.u_density_decayLocation, densityDecay);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.uniform1i(this.shaders.fade.u_xLocation, 0);
+            gl.bindTexture(gl.TEXTURE_2D, this.textures.x);
 
-        this.quad.draw(gl);
+            gl.activeTexture(gl.TEXTURE1);
+            gl.uniform1i(this.shaders.fade.u_fieldLocation, 1);
+            gl.bindTexture(gl.TEXTURE_2D, sourceTex);
 
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.uniform1f(this.shaders.fade.u_factorLocation, factor);
+            gl.uniform1f(this.shaders.fade.u_amountLocation, amount);
+
+            this.quad.draw(gl);
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-        this.textures.x = targetTex;
-        this.textures.xNext = sourceTex;
+            this.textures[field] = targetTex;
+            this.textures[`${field}Next`] = sourceTex;
+        });
     }
 
-    render(source) {
-        const { gl } = this;
+    render() {
+        // whatever this.view is, see common/views.js.
+        const { gl, view } = this;
+        const range = view === VIEWS.Dye ? 1 : this.viewRange || this.largestViewValue();
+
+        const positions = new Float32Array(MAX_STOPS);
+        const colours = new Float32Array(MAX_STOPS * 3);
+        this.colourStops.forEach(([position, colour], k) => {
+            positions[k] = position;
+            colours.set(colour, k * 3);
+        });
 
         // default renderbuffer.
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
         gl.clear(gl.COLOR_BUFFER_BIT);
         
-        gl.useProgram(this.shaders.render.program);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.uniform1i(this.shaders.render.u_xLocation, 0);
-        gl.bindTexture(gl.TEXTURE_2D, this.textures[source]);
+        const shader = this.shaders.render;
+        gl.useProgram(shader.program);
+
+        this.bindView(shader);
+        gl.activeTexture(gl.TEXTURE5);
+        gl.uniform1i(shader.u_dyeLocation, 5);
+        gl.bindTexture(gl.TEXTURE_2D, this.textures.dye);
+        gl.uniform1i(shader.u_viz_boundaryLocation, this.vizBoundary ? 1 : 0);
+        gl.uniform1i(shader.u_signedLocation, isSigned(view) ? 1 : 0);
+        gl.uniform1f(shader.u_rangeLocation, range);
+        gl.uniform1i(shader.u_stop_countLocation, this.colourStops.length);
+        gl.uniform1fv(shader.u_stop_positionLocation, positions);
+        gl.uniform3fv(shader.u_stop_colourLocation, colours);
+        this.bindObstacles(shader, 6);
 
         this.quad.draw(gl);
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
-    
+
+    bindView(shader) {
+        // the fields view_value reads, on texture units 0 to 4.
+        const { gl } = this;
+        VIEW_SAMPLERS.forEach((name, i) => {
+            gl.activeTexture(gl.TEXTURE0 + i);
+            gl.uniform1i(shader[`${name}Location`], i);
+            // u_x is this.textures.x and so on.
+            gl.bindTexture(gl.TEXTURE_2D, this.textures[name.slice(2)]);
+        });
+        gl.uniform1i(shader.u_viewLocation, this.view);
+    }
+
+    largestViewValue() {
+        // for a view with no range. another round trip to the gpu each frame.
+        this.setupReduction();
+        this.pass(this.shaders.viewRange, this.reduction[0].texture, {}, (gl, shader) => {
+            this.bindView(shader);
+            this.bindObstacles(shader, 5);
+        });
+        const pixels = this.reduce(true);
+        let largest = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            largest = Math.max(largest, pixels[i]);
+        }
+        return largest > 0 ? largest : 1;
+    }
+
+    clear(target) {
+        this.clearTexture(this.textures[target]);
+    }
+
+    reset() {
+        // the *Next textures too, they get swapped in on the next pass.
+        Object.values(this.textures).forEach(texture => this.clearTexture(texture));
+    }
+
+    setField(name, data) {
+        // data is a float per cell, or u, v next to each other for velocity, like the textures. dye
+        // is r, g, b, which gets the alpha the texture has added.
+        const { gl, size } = this;
+        const channels = CHANNELS[name] ?? 1;
+        let pixels = data;
+        if (channels === 4) {
+            pixels = new Float32Array(size * size * 4);
+            for (let i = 0; i < size * size; i++) {
+                pixels.set(data.subarray(i * 3, i * 3 + 3), i * 4);
+            }
+        }
+        gl.bindTexture(gl.TEXTURE_2D, this.textures[name]);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, size, size, this.formats(channels)[1], gl.FLOAT, pixels);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    clearTexture(texture) {
+        const { gl } = this;
+        this.setFramebufferTexture(texture);
+
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(1.0, 0.0, 0.0, 1.0);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
     copyPixels(source, target) {
         // Replaces:
         // const pixels = this.readPixels(source);
@@ -1174,7 +2528,8 @@ class GL {
         this.setFramebufferTexture(sourceTex);
         gl.bindTexture(gl.TEXTURE_2D, targetTex);
 
-        gl.copyTexImage2D(gl.TEXTURE_2D, 0, gl.R32F, 0, 0, size, size, 0);
+        // sub image so the target keeps its format, R32F or RG32F.
+        gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 0, 0, size, size);
 
         gl.bindTexture(gl.TEXTURE_2D, null);
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
@@ -1,4 +1,24 @@
 import { GL } from './gl.js';
+import { CPU } from './cpu.js';
+import { step } from '../common/pipeline.js';
+import { PRESSURE_SOLVERS } from '../common/pressure.js';
+import { ADVECTION_SCHEMES } from '../common/advection.js';
+import { DECAY_MODELS, DensityLedger } from '../common/decay.js';
+import { WALLS, Obstacles, loadImage } from '../common/obstacles.js';
+import { EDGES } from '../common/edges.js';
+import { loadSettings } from '../common/settings.js';
+import { Panel } from '../common/panel.js';
+import { Clock, cflStep } from '../common/clock.js';
+import { resetFields } from '../common/initial.js';
+import { loadTimeline, playTimeline, addSample, toSample } from '../common/script.js';
+import { Recorder, Replay, loadRecording, downloadJSON, pickJSON } from '../common/recorder.js';
+import { Pointers } from '../common/pointers.js';
+import { pointerPosition, toCell, toCanvas } from '../common/coords.js';
+import { BRUSH_SHAPES, FALLOFFS } from '../common/brush.js';
+import { FAN, activeEmitters } from '../common/emitters.js';
+import { VIEWS, COLOUR_MAPS, colourStops } from '../common/views.js';
+import { Tracers, drawOverlays, isShowing, overlayCanvas, fitOverlay } from '../common/overlays.js';
+import { CAPTURE_FORMATS, Capture } from '../common/capture.js';
 
 /* 
  * http://jamie-wong.com/2016/08/05/webgl-fluid-simulation + https://codepen.io/davvidbaker/pen/ENbqdQ
@@ -11,9 +31,10 @@ import { GL } from './gl.js';
  * * Gauss-seidel is no good in gpu computation because it relies on mutated original values
  *   as part of computing the next value.
  * 
- * * Finding out how to use diffuse and viscosity params with the jacobi method never worked
- *   out for me. Would be nice to go back and find that out, or try out the conjugate gradient
- *   method.
+ * * Finding out how to use diffuse and viscosity params with the jacobi method took a while.
+ *   The solveLinear shader was scaling x0 by a / c along with the neighbours, which is only
+ *   right for the pressure solve (a = 1, c = 4). Diffusion needs (x0 + a * neighbours) / c,
+ *   same as the cpu version. Would still be nice to try out the conjugate gradient method.
  * 
  * * R32 needs extensions, and using an extension is just a matter of querying for it it seems.
  * 
@@ -27,234 +48,625 @@ import { GL } from './gl.js';
  *
  */
 
-const FPS = 1/60;
-// cell size, this is the 'N' throughout the paper.
-// 1280 is a good limit. 1400 seems to be a struggle.
-const N = 1024;
-// cell size accounting for the edge boundary cells added
-const CSB = N + 2;
-// amount of cells we need to allocate. we add 2 to account
-// for boundary cells in the left, top, bottom, and right of
-// the grid.
-const SIZE = (CSB) ** 2;
-// the boundary is always there in the data, but we may not want to
-// show the boundary cells + their data at draw time.
-const VIZ_BOUNDARY = true;
-
 const MODES = {
     Fan: 0,
     Mouse: 1,
     Dual: 2,
-    // todo
-    // Automatically input mouse coordintes - not implemented yet.
-    // MouseAuto: 3,
+    // Mouse input from a script rather than the mouse, see common/script.js.
+    MouseAuto: 3,
 };
-const MODE = MODES.Dual;
-
-// todo
-// pass viz_boundary to render shader?
 
-let gpu = null;
-let gpuError = null;
-try {
-    gpu = new GL(CSB, MODE);
-} catch (e) {
-    gpuError = e;
-}
+const BACKENDS = {
+    GPU: 0,
+    CPU: 1,
+};
 
-const state = {
-    // How quickly to make the thing dissipate. If it's 0, all the densities we introduce
-    // will stick around and be moved along the force field, meaning nothing will ever
-    // fade away in the simulation. Simulating smoke definitely requires a positive fade rate.
-    densityDecay: 0.02,
+// Where the settings start out, see common/settings.js. Any of them can be given in the query string
+// (e.g. ?n=512&mode=fan) or in a ?config= JSON file, and changed while running with settings.set().
+const DEFAULTS = {
+    // cell size, this is the 'N' throughout the paper.
+    // 1280 is a good limit. 1400 seems to be a struggle.
+    n: 1024,
+    // The cpu can't keep up with the gpu grid size, so it gets its own.
+    cpuN: 128,
+    // Only looked at when the page loads.
+    backend: BACKENDS.GPU,
+    mode: MODES.Dual,
+    // How far each step moves the simulation on, in seconds. Steps are taken as real time goes by,
+    // not once a frame, see common/clock.js.
+    dt: 1 / 60,
+    // If above 0, steps get smaller than dt when needed so nothing moves more than this many cells in
+    // one, e.g. 1. Costs a read back from the gpu each step.
+    cfl: 0,
+    // The most steps to take in a frame to catch up. Past that the simulation runs slower instead.
+    maxSubsteps: 4,
+    // the boundary is always there in the data, but we may not want to
+    // show the boundary cells + their data at draw time.
+    vizBoundary: true,
+    // What to draw, see common/views.js. The dye is each pointer and emitter's own colour, the rest
+    // go through the colour map, e.g. ?view=vorticity&colourMap=inferno.
+    view: VIEWS.Dye,
+    colourMap: COLOUR_MAPS.Viridis,
+    // the stops for the Custom colour map, e.g. ['#000', '#f40', '#ff8'] or [[0, '#000'], [0.8, '#f40'], [1, '#fff']].
+    colourStops: ['#000000', '#ffffff'],
+    // The value at the top of the colour map, or 0 for the largest there is each frame, which costs
+    // a read back from the gpu.
+    viewRange: 0,
+    // What to draw on top to see the velocity, see common/overlays.js. Any of them costs a read back
+    // of resolution x resolution from the gpu each frame.
+    overlays: {
+        arrows: false,
+        streamlines: false,
+        tracers: false,
+        // how many arrows and streamlines across the grid.
+        count: 24,
+        // how finely the velocity gets sampled for them, at most n.
+        resolution: 128,
+        tracerCount: 2000,
+        // seconds of simulation time before a tracer starts again somewhere else.
+        tracerLife: 4,
+        colour: 'rgba(255, 255, 255, 0.7)',
+    },
+    // Diffuse and viscosity constants, the same ones the cpu solver takes. Both get turned into
+    // a = dt * diff * N * N for the implicit solve, so keep them small, e.g. 0.00001 or less.
+    diffusion: 0,
+    viscosity: 0,
+    // Vorticity confinement, how hard to push the swirls that advecting smooths away back up, e.g. 2.
+    // 0 is off, see common/pipeline.js.
+    confinement: 0,
+    // How density, dye and velocity get moved along, see common/advection.js. macCormack and bfecc
+    // lose a lot less of them each step, for two or three more passes, e.g. ?advection=macCormack.
+    advection: ADVECTION_SCHEMES.SemiLagrangian,
+    // Heat rising and density sinking, see common/buoyancy.js. The heat comes from emitters with a
+    // heat, e.g. a fire at the bottom is
+    // ?buoyancy.lift=2&emitters=[{"type":"line","x0":0.4,"y0":0.05,"x1":0.6,"y1":0.05,"width":0.02,"density":20,"heat":40,"colour":[1,0.5,0.1]}]
+    // gravity is which way is down in degrees, 270 being down the screen here.
+    buoyancy: {
+        lift: 0,
+        weight: 0,
+        gravity: 270,
+        // half-life of the heat in seconds, 0 for it never cooling.
+        cooling: 2,
+    },
+    // Which solver to use for the pressure and when to stop, see common/pressure.js. Backends fall
+    // back to their own default if they don't have the one asked for. At N=1024 20 iterations of
+    // jacobi leave a lot of divergence behind, multigrid with a tolerance of e.g. 0.01 doesn't.
+    pressure: {
+        solver: PRESSURE_SOLVERS.Jacobi,
+        tolerance: 0,
+        maxIterations: 20,
+        // Work out the residual even without a tolerance, costs a round trip from the gpu.
+        report: false,
+    },
+    // How the density fades, by simulation time so it's the same whatever dt is, see common/decay.js.
+    // exponential halves it every halfLife seconds, linear takes rate off every cell each second and
+    // none leaves it be. report totals up where it's gone each step (window.density in the console),
+    // for a few round trips from the gpu.
+    decay: {
+        model: DECAY_MODELS.Exponential,
+        rate: 1,
+        halfLife: 2,
+        report: false,
+    },
     // When adding a source density with the mouse, how much density should be added.
     sourceDensity: 10,
-    mouseDown: false,
-    // Previous mouse coordinates to drive the force field / potentially densities?
-    mouse0: null,
-    // Current mouse, to sample on each loop of the simulator.
-    mouse: null,
+    // Sources of density and velocity that are part of the scene, on in Fan and Dual mode, see
+    // common/emitters.js. The default is the fan blowing in from the left edge. A jet up from the
+    // bottom that puffs every second is e.g.
+    // { type: 'point', x: 0.5, y: 0.05, radius: 0.02, direction: 90, velocity: 10, density: 50, schedule: { period: 1, on: 0.3 } }
+    emitters: [{ ...FAN, density: 50, velocity: 5 }],
+    // What all of the emitters' density, heat and velocity get scaled by.
+    emitterStrength: 1,
+    // What the mouse velocity gets scaled by before it's added to the grid.
+    mouseForce: 15,
+    // What the pointer paints density and velocity with, see common/brush.js. shape and falloff can
+    // be given by name, e.g. ?brush.shape=circle&brush.radius=4&brush.falloff=gaussian.
+    brush: {
+        shape: BRUSH_SHAPES.Plus,
+        radius: 1,
+        falloff: FALLOFFS.Hard,
+        // how much of the density and velocity to add.
+        density: 1,
+        velocity: 1,
+        // [r, g, b] of the dye for every pointer, or null for each to get its own.
+        colour: null,
+    },
+    // Where MouseAuto gets its input from, see common/script.js. Either the options for making up
+    // strokes from a seed, or the url of a JSON timeline, e.g. ?script=strokes.json.
+    script: {
+        seed: 1,
+        strokes: 12,
+        duration: 10,
+        loop: true,
+    },
+    // A recording to play back once the page has loaded, e.g. ?replay=session.json, see
+    // common/recorder.js. The panel can record one.
+    replay: null,
+    // What the panel's capture button saves, see common/capture.js. Frames every 1 / fps seconds of
+    // simulation time at width x height, with the overlays, from start until end or until there are
+    // frames of them (0 for no limit), as a zip of PNGs or a WebM. e.g. 10 seconds of video is
+    // ?capture.format=webm&capture.frames=300
+    capture: {
+        format: CAPTURE_FORMATS.PNG,
+        frames: 0,
+        start: 0,
+        end: 0,
+        fps: 30,
+        width: 1024,
+        height: 1024,
+        name: 'capture',
+    },
+    // What happens at each edge of the grid, see common/edges.js. A wind tunnel is e.g.
+    // { left: { type: EDGES.Inflow, u: 0.5, v: 0 }, right: EDGES.Open }.
+    edges: {
+        left: EDGES.Solid,
+        right: EDGES.Solid,
+        bottom: EDGES.Solid,
+        top: EDGES.Solid,
+    },
+    // Solid shapes for the fluid to go around, in [0, 1] of the grid (i along x, j along y), see
+    // common/obstacles.js. Shift + drag draws more, alt + drag rubs them out. e.g.
+    // { type: 'circle', x: 0.3, y: 0.5, radius: 0.08 }
+    // { type: 'rect', x: 0.6, y: 0.2, width: 0.05, height: 0.3 }
+    obstacles: [],
+    // An image to take obstacles from as well, dark opaque pixels are solid. e.g. 'obstacles.png'
+    obstacleImage: null,
+    // What the density and velocity start out as and go back to on reset, all zeros if empty, see
+    // common/initial.js. e.g. { type: 'circle', x: 0.5, y: 0.5, radius: 0.1, density: 50, u: 0, v: 2 }
+    initial: [],
+    // NoSlip or FreeSlip.
+    wall: WALLS.NoSlip,
+    // radius of the obstacle brush, in cells.
+    obstacleBrush: 4,
 };
 
-function solveLinearJacobi(xk, x0k, boundary, a, c) {   
-    for (let k = 0; k < 20; k++) {
-        // notice that we only do this on non-boundary cells so we can sample the boundary.
-        gpu.solveLinear(xk, x0k, a, c);
-        gpu.setBoundary(xk, boundary);
-    }
+// What main() used to set up for each mode, on top of the defaults.
+const PRESETS = {
+    [MODES.Fan]: {
+        sourceDensity: 5,
+    },
+    [MODES.Mouse]: {
+        sourceDensity: 12,
+    },
+    [MODES.Dual]: {
+        sourceDensity: 12,
+    },
+    [MODES.MouseAuto]: {
+        sourceDensity: 12,
+    },
+};
+
+// Settings that can be given by name, e.g. ?mode=mouse.
+const ENUMS = {
+    mode: MODES,
+    backend: BACKENDS,
+    wall: WALLS,
+    view: VIEWS,
+    colourMap: COLOUR_MAPS,
+    'brush.shape': BRUSH_SHAPES,
+    'brush.falloff': FALLOFFS,
+};
+
+let settings = null;
+let backend = null;
+
+const state = {
+    // Whether we ended up on the cpu, either asked for or as a fallback.
+    cpu: false,
+    // How the pressure solves went on the last step, { solver, iterations, residual } for each.
+    stats: null,
+    // where the density has gone since the last restart, when decay.report is on.
+    density: new DensityLedger(),
+    // the mice, fingers and pens on the canvas, see common/pointers.js.
+    pointers: null,
+    obstacles: null,
+    // what MouseAuto plays, null until it's loaded.
+    timeline: null,
+    // what the pointer did, and a recording being played back.
+    recorder: new Recorder(),
+    replay: null,
+    // pausing, stepping and how far along the simulation is, see common/clock.js.
+    clock: null,
+    panel: null,
+    // what the overlays get drawn on, and the tracers with the clock time they were last moved at.
+    overlay: null,
+    tracers: new Tracers(),
+    tracerTime: 0,
+    // the Capture being taken, if there is one.
+    capture: null,
+};
+
+// What the panel has controls for, see common/panel.js.
+const CONTROLS = [
+    { key: 'mode', options: MODES },
+    { key: 'decay.model', label: 'decay', options: DECAY_MODELS },
+    { key: 'decay.halfLife', label: 'half life (s)', min: 0.1, max: 30, step: 0.1 },
+    { key: 'decay.rate', label: 'decay rate', min: 0, max: 10, step: 0.01 },
+    { key: 'sourceDensity', label: 'source density', min: 0, max: 50, step: 0.5 },
+    { key: 'emitterStrength', label: 'emitter strength', min: 0, max: 4, step: 0.05 },
+    { key: 'mouseForce', label: 'mouse force', min: 0, max: 50, step: 0.5 },
+    { key: 'confinement', label: 'vorticity', min: 0, max: 10, step: 0.1 },
+    { key: 'advection', options: ADVECTION_SCHEMES },
+    { key: 'buoyancy.lift', label: 'heat lift', min: 0, max: 10, step: 0.1 },
+    { key: 'buoyancy.weight', label: 'density weight', min: 0, max: 2, step: 0.01 },
+    { key: 'brush.shape', label: 'brush', options: BRUSH_SHAPES },
+    { key: 'brush.radius', label: 'brush radius', min: 0, max: 20, step: 0.5 },
+    { key: 'brush.falloff', label: 'brush falloff', options: FALLOFFS },
+    { key: 'pressure.maxIterations', label: 'solver iterations', min: 1, max: 200, step: 1 },
+    { key: 'dt', label: 'timestep', min: 0.001, max: 0.1, step: 0.001 },
+    { key: 'cfl', label: 'cfl (0 is off)', min: 0, max: 5, step: 0.1 },
+    { key: 'vizBoundary', label: 'show boundary' },
+    { key: 'view', options: VIEWS },
+    { key: 'colourMap', label: 'colour map', options: COLOUR_MAPS },
+    { key: 'viewRange', label: 'range (0 is auto)', min: 0, max: 50, step: 0.01 },
+    { key: 'overlays.arrows', label: 'arrows' },
+    { key: 'overlays.streamlines', label: 'streamlines' },
+    { key: 'overlays.tracers', label: 'tracers' },
+    { key: 'capture.format', label: 'capture as', options: CAPTURE_FORMATS },
+];
+
+function gridSize() {
+    // accounting for the edge boundary cells added
+    return (state.cpu ? settings.values.cpuN : settings.values.n) + 2;
 }
 
-function diffuse(target, source, boundary) {
-    // TODO
-    // we should write a passthrough shader or somehow write to two targets here,
-    // otherwise we need to keep the textures and state in sync.
-    // maybe better is:
-    // https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/copyTexImage2D
-    gpu.setBoundary(source, boundary);
-    gpu.copyPixels(source, target);
+function setupBackend() {
+    let gpuError = null;
+    if (settings.values.backend === BACKENDS.GPU) {
+        try {
+            backend = new GL(settings.values.n + 2);
+        } catch (e) {
+            gpuError = e;
+        }
+    }
+    if (!backend) {
+        if (gpuError) {
+            console.warn(`Falling back to the cpu backend: ${gpuError.message}`);
+        }
+        state.cpu = true;
+        backend = new CPU(gridSize());
+    }
+    backend.vizBoundary = settings.values.vizBoundary;
+    setupView(settings.values);
+    backend.setEdges(settings.values.edges);
 }
 
-function advect(dt, target, source, u, v, boundary) {
-    // uses a 'simple linear backtrace' to compute density diffusion
-    const dt0 = dt * N;
-    gpu.advect(dt0, target, source, u, v, boundary);
-    gpu.setBoundary(target, boundary);
+function setupView({ view, colourMap, colourStops: custom, viewRange }) {
+    backend.view = view;
+    backend.colourStops = colourStops(colourMap, custom);
+    backend.viewRange = viewRange;
 }
 
-function project(u, v, p, div) {
-    // the paper assumes the grid is normalized, so it can get a spacing of the grid using 1 / N (i.e.
-    // edge length / count of cells), but we already know that the spacing is width or height / N.
-    // however i'm not sure how much this matters...
-    const h = N;
-    gpu.divergence(h, div, u, v);
-    gpu.setBoundary(div, 0);
+function paintObstacles(e, solid) {
+    const [i, j] = getCell(e);
+    paint(i, j, settings.values.obstacleBrush, solid);
+}
 
-    gpu.setBoundary(p, 0);    
-    solveLinearJacobi(p, div, 0, 1, 4);
+function paint(i, j, radius, solid) {
+    state.obstacles.paint(i, j, radius, solid);
+    backend.setObstacles(state.obstacles.mask, settings.values.wall);
+    const n = backend.size - 2;
+    state.recorder.record(state.clock.steps, { type: 'paint', x: (i - 1) / n, y: (j - 1) / n, radius: radius / n, solid });
+}
 
-    // TODO
-    // combine into one uv
-    gpu.velocity(h, u, p, 0);
-    gpu.velocity(h, v, p, 1);
+function setupObstacles() {
+    const { obstacles, obstacleImage, wall } = settings.values;
+    state.obstacles = new Obstacles(backend.size);
+    obstacles.forEach(shape => state.obstacles.addShape(shape));
+    backend.setObstacles(state.obstacles.mask, wall);
+    if (obstacleImage) {
+        loadImage(obstacleImage)
+            .then(image => {
+                // image rows go top to bottom, gl rows bottom to top.
+                state.obstacles.addImage(image, true);
+                backend.setObstacles(state.obstacles.mask, settings.values.wall);
+            })
+            .catch(e => console.warn(e.message));
+    }
+}
 
-    gpu.setBoundary(u, 1);
-    gpu.setBoundary(v, 2);
+function applySettings(changed, values) {
+    // Most settings get read every step, these are the ones that need something done about them.
+    if ('mode' in changed) {
+        // the preset for the new mode, apart from anything that was set along with it.
+        const preset = { ...PRESETS[values.mode] };
+        Object.keys(changed).forEach(key => delete preset[key]);
+        settings.set(preset);
+    }
+    if ('vizBoundary' in changed) {
+        backend.vizBoundary = values.vizBoundary;
+    }
+    if (['view', 'colourMap', 'colourStops', 'viewRange'].some(key => key in changed)) {
+        setupView(values);
+    }
+    state.clock.maxSubsteps = values.maxSubsteps;
+    if ('edges' in changed) {
+        backend.setEdges(values.edges);
+    }
+    if ((state.cpu ? 'cpuN' : 'n') in changed) {
+        // starts over, but keeps the obstacles.
+        backend.resize(gridSize());
+        state.obstacles = state.obstacles.resized(backend.size);
+        backend.setObstacles(state.obstacles.mask, values.wall);
+        restart();
+    }
+    if ('script' in changed) {
+        setupScript();
+    }
+    if ('replay' in changed) {
+        setupReplay();
+    }
+    if ('obstacles' in changed || 'obstacleImage' in changed) {
+        // anything drawn with the mouse goes.
+        setupObstacles();
+    } else if ('wall' in changed) {
+        backend.setObstacles(state.obstacles.mask, values.wall);
+    }
 }
 
-function densityStep(dt) {
-    diffuse('x0', 'x', 0);
-    // combines what we did in the velocity step with what we're doing in the
-    // density step. i.e. this is the only touch point between the density
-    // and the velocity vector field.
-    advect(dt, 'x', 'x0', 'u', 'v', 0);
+function setupScript() {
+    state.timeline = null;
+    loadTimeline(settings.values.script)
+        .then(timeline => state.timeline = timeline)
+        .catch(e => console.warn(e.message));
 }
 
-function velocityStep(dt) {
-    diffuse('u0', 'u', 1);
-    diffuse('v0', 'v', 2);
-    project('u0', 'v0', 'u', 'v')
-    advect(dt, 'u', 'u0', 'u0', 'v0', 1);
-    advect(dt, 'v', 'v0', 'u0', 'v0', 2);
-    project('u', 'v', 'u0', 'v0')
+function addMouseDensityForces(dt) {
+    // each pointer that's down adds its own, a pen more or less depending on how hard it's pressed.
+    state.pointers.forEachStirring((current, previous, strength, pointerColour) => {
+        const [cx, cy] = getCell(current);
+        const [pcx, pcy] = getCell(previous);
+        const xv = cx - pcx;
+        const yv = cy - pcy;
+        const density = settings.values.sourceDensity * strength;
+        const force = settings.values.mouseForce * strength;
+        const { brush } = settings.values;
+        const colour = brush.colour ?? pointerColour;
+
+        backend.addMouseDensityForces(density, [cx, cy], xv, yv, force, { ...brush, colour });
+        state.recorder.record(state.clock.steps, { type: 'force', ...toSample(backend, [cx, cy], xv, yv, dt, density, force, colour) });
+    });
 }
 
-function addMouseDensityForces() {
-    if (!state.mouseDown || !state.mouse0) {
-        return;
+function replayEvents(dt) {
+    // whatever was recorded for this step, in place of the mouse.
+    const n = backend.size - 2;
+    state.replay.eventsAt(state.clock.steps).forEach(event => {
+        if (event.type === 'paint') {
+            paint(1 + event.x * n, 1 + event.y * n, event.radius * n, event.solid);
+        } else if (event.type === 'force') {
+            addSample(backend, event, dt, settings.values);
+        }
+    });
+    if (state.replay.done) {
+        // the replay button goes back to saying so.
+        state.replay = null;
+        state.panel?.updateButtons();
     }
-    const { cx , cy } = getCoords(state.mouse);
-    const { cx: pcx, cy: pcy } = getCoords(state.mouse0);
-    const xv = cx - pcx;
-    const yv = cy - pcy;
-
-    gpu.addMouseDensityForces(state.sourceDensity, [cx, cy], xv, yv);
 }
 
 function update(dt) {
-    if (MODE === MODES.Fan || MODE === MODES.Dual) {
-        gpu.addFanDensityForces(state.sourceDensity);
+    const { mode, emitters, emitterStrength, diffusion, viscosity, confinement, advection, buoyancy, decay, pressure } = settings.values;
+    if (mode === MODES.Fan || mode === MODES.Dual) {
+        // on and off by clock time, like the script.
+        backend.addEmitters(activeEmitters(emitters, state.clock.time, emitterStrength));
     }
-    if (MODE === MODES.Mouse || MODE === MODES.Dual || MODE === MODES.MouseAuto) {
-        addMouseDensityForces();
+    if (state.replay) {
+        replayEvents(dt);
+    } else if (mode === MODES.Mouse || mode === MODES.Dual) {
+        addMouseDensityForces(dt);
+    }
+    if (mode === MODES.MouseAuto && state.timeline) {
+        // clock time, so the same strokes land on the same steps every run.
+        playTimeline(backend, state.timeline, state.clock.time, dt, settings.values);
+    }
+    state.stats = step(backend, dt, {
+        diffusion,
+        viscosity,
+        confinement,
+        advection,
+        buoyancy,
+        decay,
+        pressure,
+    });
+    if (state.stats.density) {
+        state.density.record(state.stats.density);
     }
-    // the equation we deal with states (figure 1 for density, right to left)
-    // 1. density follows velocity field
-    // 2. density diffuses at certain rate
-    // 3. density increases due to sources (the + S)
-    // we solve it in reverse (add sources, diffuse, follow the velocity field)
-    velocityStep(dt);
-    densityStep(dt);
-    gpu.fade(state.densityDecay);
 }
 
-function getCoords(e) {
-    const rect = e.target.getBoundingClientRect();
-    const cx = (e.clientX - rect.left);
-    const cy = (e.clientY - rect.top);
-
-    // For when the canvas isn't rotated 90deg.
-    // // We want to use these in the gl sense, so we flip them on the y axis
-    // // because its a bottom left coord system whereas this is top left.
-    // const tcx = cx;
-    // const tcy = e.target.height - cy;
-    // // 1026, 0 maps to 1026, 1026
-    // // 1026, 1026 maps to 1026, 0
-    // return { cx: tcx, cy: tcy };
-
-    // For when the canvas is rotated 90deg, we can just flip
-    // the coordinates.
-    // We want to use these in the gl sense, so we flip them on the y axis
-    // because its a bottom left coord system whereas this is top left.
-    return { cx: cy, cy: cx };
+function getCell(e) {
+    // the grid cell under the pointer, see common/coords.js. Both backends draw the whole grid,
+    // boundary included, with row 0 at the bottom.
+    const position = pointerPosition(e, document.getElementById('canvas'), { flipY: true });
+    return toCell(position, backend.size);
 }
 
 function setupHandlers() {
-    const canvas = document.getElementById('canvas');
-    const moveHandler = (e) => {
-        if (!state.mouse0) {
-            state.mouse0 = e;
-        }
-        state.mouse0 = state.mouse;
-        state.mouse = e;
-    };
-    canvas.onmousedown = () => state.mouseDown = true;
-    canvas.onmousemove = moveHandler;
-    canvas.onmouseup = () => state.mouseDown = false;
+    // after setupBackend, the cpu backend swaps the canvas out for a new one.
+    state.pointers = new Pointers(document.getElementById('canvas'));
+    state.pointers.onPaint = paintObstacles;
 }
 
-function loop() {
-    const run = (t) => {
-        update(FPS);
-        gpu.render('x');
-        requestAnimationFrame(run);
+function restart() {
+    // back to the initial state, with the obstacles left as they are.
+    resetFields(backend, settings.values.initial);
+    state.clock.reset();
+    state.stats = null;
+    state.density.reset();
+}
+
+function startRecording() {
+    // from the start, so the steps line up when it's played back. drawn obstacles go too, so
+    // the recording has all of them.
+    setupObstacles();
+    restart();
+    state.recorder.start();
+}
+
+function stopRecording() {
+    state.recorder.stop();
+    downloadJSON('session.json', state.recorder);
+}
+
+function startReplay(recording) {
+    state.recorder.stop();
+    state.replay = new Replay(recording);
+    setupObstacles();
+    restart();
+    state.panel?.updateButtons();
+}
+
+function setupReplay() {
+    if (settings.values.replay) {
+        loadRecording(settings.values.replay)
+            .then(startReplay)
+            .catch(e => console.warn(e.message));
     }
-    requestAnimationFrame(run)
 }
 
-// function loopMouseAuto() {
-//     const mouseMoves = []
-//     const run = (t) => {
-//         const cy = canvas.clientY;
-
-//         update(FPS);
-//         gpu.render('x');
-//         requestAnimationFrame(run);
-//     }
-//     requestAnimationFrame(run)
-// }
-
-function main() {
-    if (!gpu) {
-        alert(gpuError ? gpuError : "Failed to init webgl")
+function setupPanel() {
+    const { clock } = state;
+    state.panel = new Panel(settings, CONTROLS, [
+        {
+            label: () => (clock.paused ? 'resume' : 'pause'),
+            onClick: () => clock.toggle(),
+        },
+        {
+            label: 'step',
+            onClick: () => clock.advance(1),
+        },
+        {
+            label: 'step 10',
+            onClick: () => clock.advance(10),
+        },
+        {
+            label: 'reset',
+            onClick: restart,
+        },
+        {
+            label: () => (state.recorder.recording ? 'stop recording' : 'record'),
+            onClick: () => (state.recorder.recording ? stopRecording() : startRecording()),
+        },
+        {
+            label: () => (state.replay ? 'replaying' : 'replay'),
+            // null when the file dialog was cancelled.
+            onClick: () => pickJSON()
+                .then(recording => recording && startReplay(recording))
+                .catch(e => console.warn(e.message)),
+        },
+        {
+            label: () => (state.capture ? 'stop capture' : 'capture'),
+            onClick: () => (state.capture ? stopCapture() : startCapture()),
+        },
+    ]);
+}
+
+function startCapture() {
+    state.capture = new Capture(settings.values.capture);
+}
+
+function stopCapture() {
+    const { capture } = state;
+    state.capture = null;
+    state.panel.updateButtons();
+    capture.save().catch(e => console.warn(e.message));
+}
+
+function captureFrame() {
+    // straight after the render, while the webgl canvas still has it. the overlays go on top if
+    // they're showing.
+    const { capture, clock } = state;
+    if (!capture) {
         return;
     }
+    if (capture.wants(clock.time)) {
+        const canvases = [document.getElementById('canvas')];
+        if (isShowing(settings.values.overlays)) {
+            canvases.push(state.overlay.canvas);
+        }
+        capture.add(clock.time, canvases);
+    }
+    if (capture.done) {
+        stopCapture();
+    }
+}
 
-    setupHandlers();
-    
-    if (MODE === MODES.Fan) {
-        state.densityDecay = 0.1;
-        state.sourceDensity = 5;
-        loop();
+function timestep() {
+    const { dt, cfl } = settings.values;
+    return cfl > 0 ? cflStep(backend, dt, cfl) : dt;
+}
+
+function renderOverlays() {
+    // on a 2d canvas over the webgl one, the cpu backend's too so there's a pixel per screen pixel to
+    // draw the lines with.
+    const { overlays } = settings.values;
+    const canvas = document.getElementById('canvas');
+    state.overlay ??= overlayCanvas();
+    fitOverlay(state.overlay, canvas);
+    const { clock, tracers } = state;
+    const elapsed = clock.time - state.tracerTime;
+    state.tracerTime = clock.time;
+    if (!isShowing(overlays)) {
+        return;
     }
-    
-    if (MODE === MODES.Mouse) {
-        state.densityDecay = 0.00002;
-        state.sourceDensity = 12;
-        loop();
+
+    const velocity = backend.readVelocity(Math.min(overlays.resolution, backend.size - 2));
+    if (overlays.tracers) {
+        if (elapsed < 0) {
+            // started over, so do they.
+            tracers.reset();
+        }
+        tracers.advance(velocity, Math.max(elapsed, 0), overlays.tracerCount, overlays.tracerLife);
     }
-    
-    if (MODE === MODES.Dual) {
-        state.densityDecay = 0.00002;
-        state.sourceDensity = 12;
-        loop();
+
+    const { width, height } = state.overlay.canvas;
+    drawOverlays(state.overlay, velocity, overlays, tracers, (point) => {
+        // row 0 at the bottom.
+        const [x, y] = toCanvas(point, backend.size);
+        return [x * width, (1 - y) * height];
+    });
+}
+
+function loop() {
+    const { clock } = state;
+    const run = (t) => {
+        clock.frame(t);
+        // again for each step, since the last one changed the velocity the cfl step goes by.
+        let dt = timestep();
+        while (clock.ready(dt)) {
+            update(dt);
+            clock.tick(dt);
+            dt = timestep();
+        }
+        backend.render();
+        renderOverlays();
+        captureFrame();
+        requestAnimationFrame(run);
     }
+    requestAnimationFrame(run)
+}
 
-    // if (MODE === MODES.MouseAuto) {
-    //     state.densityDecay = 0.00002;
-    //     state.sourceDensity = 12;
-    //     loopMouseAuto();
-    // }
+async function main() {
+    settings = await loadSettings(DEFAULTS, { presets: PRESETS, enums: ENUMS }).catch((e) => {
+        // a bad query or config file, go on with what no query at all would have given.
+        console.warn(`Falling back to the default settings: ${e.message}`);
+        return loadSettings(DEFAULTS, { presets: PRESETS, search: '' });
+    });
+    state.clock = new Clock({ maxSubsteps: settings.values.maxSubsteps });
+    setupBackend();
+    setupHandlers();
+    setupObstacles();
+    setupScript();
+    restart();
+    setupReplay();
+    settings.onChange(applySettings);
+    setupPanel();
+    // for anything the panel doesn't have, e.g. settings.set({ n: 256 }) or clock.advance(100) from
+    // the console.
+    window.settings = settings;
+    window.clock = state.clock;
+    window.density = state.density;
+    loop();
 }
 
 main();
-
@@ -0,0 +1,75 @@
+// Schemes for advect() in the pipeline, all built out of the same semi-lagrangian backtrace.
+//
+// A single backtrace with bilinear interpolation (what the paper does) smooths everything it moves a
+// little every step, which is why the density needs so much put in to stay visible. The other two
+// advect back the way they came as well to see how much got lost, and make up for it:
+// * semiLagrangian - the paper's, one backtrace.
+// * macCormack - forward, then back again, and the forward one corrected by half the difference
+//   between where it started and where it got back to (Selle et al., An Unconditionally Stable
+//   MacCormack Method). Three passes.
+// * bfecc - back and forth error compensation and correction. The same difference, but taken off
+//   the source before advecting it forward again. Four passes.
+// Both can overshoot where the field changes sharply, so each cell is then clamped to the range of
+// the four source cells the plain backtrace would have interpolated between.
+//
+// None of them conserve what they move. The plain backtrace mostly loses some, but the corrections and
+// whatever the clamp keeps of them can add to it, enough for bfecc to end up with more density than
+// was ever put in. So with conserve (the pipeline does it for the density and the dye), a corrected
+// field that came out with more in it than the source had gets scaled back down to the source's total.
+// Less is left alone, since that's also what goes out of open edges. On the gpu that's two more round
+// trips for each field.
+//
+// On top of the backend contract in pipeline.js, this needs:
+// * correct(target, base, source, backward) - target = base + (source - backward) / 2, for every cell.
+//   target can be the same field as base or backward.
+// * limit(target, source, uv, dt0) - the clamp above, dt0 and uv being what source was advected with.
+// * total(field) - each component of field added up over the non-boundary cells, e.g. [x] or [r, g, b].
+// * scale(field, factors) - each component of every cell times its factor.
+// and a '<target>Back' field of the same kind as each field that gets advected, for the backward pass.
+
+const ADVECTION_SCHEMES = {
+    SemiLagrangian: 'semiLagrangian',
+    MacCormack: 'macCormack',
+    BFECC: 'bfecc',
+};
+
+function advectField(backend, dt0, target, source, uv, boundary, scheme = ADVECTION_SCHEMES.SemiLagrangian, conserve = false) {
+    // dt0 is dt scaled by N, like backend.advect.
+    if (!Object.values(ADVECTION_SCHEMES).includes(scheme)) {
+        throw new Error(`Unknown advection scheme ${scheme}`);
+    }
+    backend.advect(dt0, target, source, uv);
+    backend.setBoundary(target, boundary);
+    if (scheme === ADVECTION_SCHEMES.SemiLagrangian) {
+        return;
+    }
+
+    const before = conserve ? backend.total(source) : null;
+
+    // back along the same velocity to where it started.
+    const back = `${target}Back`;
+    backend.advect(-dt0, back, target, uv);
+    backend.setBoundary(back, boundary);
+
+    if (scheme === ADVECTION_SCHEMES.MacCormack) {
+        backend.correct(target, target, source, back);
+    } else {
+        // the source with the error taken off, then forward again from that.
+        backend.correct(back, source, source, back);
+        backend.setBoundary(back, boundary);
+        backend.advect(dt0, target, back, uv);
+    }
+    backend.limit(target, source, uv, dt0);
+    backend.setBoundary(target, boundary);
+
+    if (conserve) {
+        const after = backend.total(target);
+        const factors = after.map((total, k) => (total > before[k] && total > 0 ? before[k] / total : 1));
+        if (factors.some(factor => factor !== 1)) {
+            backend.scale(target, factors);
+            backend.setBoundary(target, boundary);
+        }
+    }
+}
+
+export { ADVECTION_SCHEMES, advectField };
@@ -0,0 +1,91 @@
+// What the pointer paints density and velocity with. The brush gets dragged along the whole stroke
+// from where the pointer was on the last step to where it is now (the velocity backends get is how
+// far it moved), so a fast drag leaves a trail rather than a line of separate stamps.
+//
+// A brush is { shape, radius, falloff, density, velocity, colour }. radius is in cells, density and
+// velocity scale how much of each gets added, and colour is the [r, g, b] of the dye. Backends take
+// it in addMouseDensityForces, gl.js has the same weight in glsl.
+
+const BRUSH_SHAPES = {
+    // the 5 cell + that was the only brush there was, at radius 1.
+    Plus: 0,
+    Circle: 1,
+    Square: 2,
+};
+
+const FALLOFFS = {
+    // everything under the brush gets the full amount.
+    Hard: 0,
+    // less towards the edge.
+    Linear: 1,
+    Gaussian: 2,
+};
+
+const DEFAULT_BRUSH = {
+    shape: BRUSH_SHAPES.Plus,
+    radius: 1,
+    falloff: FALLOFFS.Hard,
+    density: 1,
+    velocity: 1,
+    // null for white, the pages give each pointer its own from PALETTE.
+    colour: null,
+};
+
+// What pointers and made up strokes get coloured in turn, so they can be told apart as they mix.
+const PALETTE = [
+    [1, 0.35, 0.2],
+    [0.2, 0.6, 1],
+    [1, 0.85, 0.2],
+    [0.35, 1, 0.45],
+    [0.85, 0.3, 1],
+];
+
+function normalizeBrush(brush = {}) {
+    const normalized = { ...DEFAULT_BRUSH, ...brush };
+    if (!Object.values(BRUSH_SHAPES).includes(normalized.shape)) {
+        throw new Error(`Unknown brush shape ${normalized.shape}`);
+    }
+    if (!Object.values(FALLOFFS).includes(normalized.falloff)) {
+        throw new Error(`Unknown brush falloff ${normalized.falloff}`);
+    }
+    return normalized;
+}
+
+function strokeOffset(i, j, from, to) {
+    // from cell i, j to the nearest point on the stroke from -> to, all in cells.
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+    const length2 = dx * dx + dy * dy;
+    const t = length2 > 0 ? Math.min(Math.max(((i - from[0]) * dx + (j - from[1]) * dy) / length2, 0), 1) : 0;
+    return [i - (from[0] + t * dx), j - (from[1] + t * dy)];
+}
+
+function brushWeight(offset, brush) {
+    // how much of the brush a cell gets, 0 to 1, for its offset from the stroke.
+    const ox = Math.abs(offset[0]);
+    const oy = Math.abs(offset[1]);
+    let distance;
+    if (brush.shape === BRUSH_SHAPES.Plus) {
+        if (Math.min(ox, oy) >= 0.5) {
+            return 0;
+        }
+        distance = Math.max(ox, oy);
+    } else if (brush.shape === BRUSH_SHAPES.Circle) {
+        distance = Math.hypot(ox, oy);
+    } else {
+        distance = Math.max(ox, oy);
+    }
+    if (distance > brush.radius + 1e-4) {
+        return 0;
+    }
+    const s = distance / (brush.radius + 1);
+    if (brush.falloff === FALLOFFS.Linear) {
+        return 1 - s;
+    }
+    if (brush.falloff === FALLOFFS.Gaussian) {
+        return Math.exp(-4 * s * s);
+    }
+    return 1;
+}
+
+export { BRUSH_SHAPES, FALLOFFS, DEFAULT_BRUSH, PALETTE, normalizeBrush, strokeOffset, brushWeight };
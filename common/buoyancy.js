@@ -0,0 +1,44 @@
+// Hot smoke rising and thick smoke sinking, the Boussinesq buoyancy force from Fedkiw, Stam and Jensen,
+// Visual Simulation of Smoke. There's a temperature field 't' (and 't0') alongside the density that
+// gets moved around the same way, and is how much hotter than the air around it each cell is, so 0 is
+// ambient and cold is negative. Each step the velocity gets
+//     dt * (lift * t - weight * x) * up
+// where x is the density (which is also relative to the ambient, nothing being 0), and up is the
+// opposite of gravity.
+//
+// buoyancy is { lift, weight, gravity, cooling }:
+// lift - how hard heat pushes up, in grid lengths per second squared per degree. 0 is off, and the
+//   temperature isn't moved or cooled at all then, to save the passes.
+// weight - how hard density pulls down, the same way per unit of density.
+// gravity - which way down is, in degrees like the emitters' direction, 0 along i and 90 along j. The
+//   canvas page has j going down the screen and gl.js up it, so they differ.
+// cooling - half-life in seconds of the temperature going back to ambient, 0 for never.
+// Heat goes in with the emitters' heat, see emitters.js, and the initial fields' temperature.
+//
+// Backends do addBuoyancy(dt, up, lift, weight) with up as [x, y] of length 1, and cool(factor),
+// taking every cell of t to t * factor.
+
+const DEFAULT_BUOYANCY = {
+    lift: 0,
+    weight: 0,
+    gravity: 90,
+    cooling: 2,
+};
+
+function normalizeBuoyancy(buoyancy = {}) {
+    return { ...DEFAULT_BUOYANCY, ...buoyancy };
+}
+
+function upward(gravity) {
+    // the unit vector against gravity, gravity in degrees.
+    const angle = gravity * Math.PI / 180;
+    return [-Math.cos(angle), -Math.sin(angle)];
+}
+
+function coolBy(buoyancy, dt) {
+    // the factor for backend.cool over a step of dt seconds.
+    const { cooling } = normalizeBuoyancy(buoyancy);
+    return cooling > 0 ? Math.pow(0.5, dt / cooling) : 1;
+}
+
+export { DEFAULT_BUOYANCY, normalizeBuoyancy, upward, coolBy };
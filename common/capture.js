@@ -0,0 +1,173 @@
+// Saving what the renders draw, as a zip of numbered PNGs or as a WebM video, at a size of its own rather
+// than whatever the canvas happens to be on screen.
+//
+// capture is { format, frames, start, end, fps, width, height, name }:
+// format - 'png' for the zip, 'webm' for a video through MediaRecorder.
+// fps - frames are taken every 1 / fps seconds of simulation time, at the first render on or after each,
+//   so pausing pauses the capture too. If the renders are further apart than that, the frames in between
+//   are skipped.
+// start, end - simulation seconds to take frames between, end not included, so there are
+//   (end - start) * fps of them. Before start it waits, 0 for end has no end.
+// frames - the most to take, 0 for no limit. Whichever of end and frames comes first stops it.
+// width, height - of the frames in pixels, the canvas gets scaled to that.
+// name - what the download is called, without the extension.
+// A WebM plays back at the speed it was recorded at, since MediaRecorder goes by the wall clock, while
+// the PNGs are numbered so they can be put together at fps afterwards. Where the browser can't record
+// WebM it takes PNGs instead, with a warning in the console.
+//
+// Capture is for the pages, solverPixels is for drawing a cpu solver without a canvas, e.g. from node
+// with 2d-canvas/frames.js.
+
+import { VIEWS, COLOUR_MAPS, colourStops, viewRange, cellColour } from './views.js';
+import { zipFiles } from './zip.js';
+import { downloadBlob } from './download.js';
+
+const CAPTURE_FORMATS = {
+    PNG: 'png',
+    WebM: 'webm',
+};
+
+// the clock's time is dt added up over and over, which doesn't land exactly on 1 / fps.
+const EPSILON = 1e-6;
+
+const DEFAULT_CAPTURE = {
+    format: CAPTURE_FORMATS.PNG,
+    frames: 0,
+    start: 0,
+    end: 0,
+    fps: 30,
+    width: 512,
+    height: 512,
+    name: 'capture',
+};
+
+function normalizeCapture(capture = {}) {
+    const normalized = { ...DEFAULT_CAPTURE, ...capture };
+    if (!Object.values(CAPTURE_FORMATS).includes(normalized.format)) {
+        throw new Error(`Unknown capture format ${normalized.format}`);
+    }
+    return normalized;
+}
+
+function frameName(name, index) {
+    // zero padded so they sort, e.g. capture-00012.png.
+    return `${name}-${String(index).padStart(5, '0')}.png`;
+}
+
+function canRecordWebM() {
+    return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm');
+}
+
+class Capture {
+    constructor(capture) {
+        this.options = normalizeCapture(capture);
+        if (this.options.format === CAPTURE_FORMATS.WebM && !canRecordWebM()) {
+            console.warn("This browser can't record WebM, capturing PNGs instead");
+            this.options.format = CAPTURE_FORMATS.PNG;
+        }
+        const { width, height, format } = this.options;
+
+        // the frames get drawn on this, at their own size.
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d');
+
+        // how many have been taken, and the simulation time the next is due at.
+        this.count = 0;
+        this.next = this.options.start;
+        this.done = false;
+        // a promise of { name, data } for each png, toBlob being async.
+        this.files = [];
+
+        this.recorder = null;
+        this.chunks = [];
+        if (format === CAPTURE_FORMATS.WebM) {
+            // 0 so it only takes the frames it's given with requestFrame.
+            const stream = this.canvas.captureStream(0);
+            this.track = stream.getVideoTracks()[0];
+            this.recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+            this.recorder.ondataavailable = (e) => this.chunks.push(e.data);
+            this.recorder.start();
+        }
+    }
+
+    wants(time) {
+        return !this.done && time >= this.next - EPSILON;
+    }
+
+    add(time, canvases) {
+        // canvases get drawn over each other, e.g. the render and then the overlays, stretched to fit.
+        const { ctx } = this;
+        const { width, height, format, start, end, fps, frames, name } = this.options;
+        ctx.clearRect(0, 0, width, height);
+        canvases.forEach(canvas => ctx.drawImage(canvas, 0, 0, width, height));
+
+        if (format === CAPTURE_FORMATS.WebM) {
+            this.track.requestFrame();
+        } else {
+            const file = frameName(name, this.count);
+            this.files.push(new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'))
+                .then(blob => blob.arrayBuffer())
+                .then(buffer => ({ name: file, data: new Uint8Array(buffer) })));
+        }
+
+        this.count++;
+        // the next one that's due after time, skipping any that were missed.
+        this.next = start + (Math.floor((time - start) * fps + EPSILON) + 1) / fps;
+        if ((frames > 0 && this.count >= frames) || (end > 0 && this.next >= end - EPSILON)) {
+            this.done = true;
+        }
+    }
+
+    async finish() {
+        // the zip or the video as a Blob, once everything's been encoded.
+        this.done = true;
+        if (this.recorder) {
+            const stopped = new Promise(resolve => this.recorder.onstop = resolve);
+            this.recorder.stop();
+            await stopped;
+            return new Blob(this.chunks, { type: 'video/webm' });
+        }
+        return new Blob([zipFiles(await Promise.all(this.files))], { type: 'application/zip' });
+    }
+
+    async save() {
+        const blob = await this.finish();
+        const extension = this.recorder ? 'webm' : 'zip';
+        downloadBlob(`${this.options.name}.${extension}`, blob);
+        return blob;
+    }
+}
+
+function solverPixels(solver, width, height, options = {}) {
+    // RGBA bytes of a cpu solver's view, rows top to bottom, nearest cell to each pixel. the same
+    // colours the canvas page draws, with j going down the image unless flipY.
+    const {
+        view = VIEWS.Dye,
+        stops = colourStops(COLOUR_MAPS.Viridis),
+        range: fixed = 0,
+        vizBoundary = false,
+        flipY = false,
+    } = options;
+    const range = view === VIEWS.Dye ? 1 : fixed || viewRange(solver, view);
+    const cells = vizBoundary ? solver.size : solver.n;
+    const first = vizBoundary ? 0 : 1;
+    const pixels = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = flipY ? height - 1 - y : y;
+        const j = first + Math.min(Math.floor(row * cells / height), cells - 1);
+        for (let x = 0; x < width; x++) {
+            const i = first + Math.min(Math.floor(x * cells / width), cells - 1);
+            const o = (y * width + x) * 4;
+            const colour = solver.isSolid(solver.IX(i, j))
+                ? [0.5, 0.5, 0.5]
+                : cellColour(solver, view, stops, range, i, j);
+            colour.forEach((c, k) => pixels[o + k] = Math.round(255 * Math.min(Math.max(c, 0), 1)));
+            pixels[o + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+export { CAPTURE_FORMATS, DEFAULT_CAPTURE, normalizeCapture, frameName, Capture, solverPixels };
@@ -0,0 +1,117 @@
+// Keeps track of how far the simulation has got, and whether it should be moving at all. The page
+// loops ask it whether to take another step rather than always taking one a frame, so it can be
+// paused, stepped through a few at a time and started over.
+//
+// Steps are a fixed size, and it takes as many as fit into the time that actually went by since
+// the last frame, so the fluid moves at the same speed on a 60Hz screen as on a 144Hz one, or on
+// a frame that took too long. The loops go
+//
+// clock.frame(t);
+// let dt = timestep();
+// while (clock.ready(dt)) {
+//     update(dt);
+//     clock.tick(dt);
+//     dt = timestep();
+// }
+//
+// with dt worked out again before each step, as with cflStep it depends on how fast things are moving.
+
+class Clock {
+    constructor(options = {}) {
+        const {
+            // the most steps to take in one frame. if it's further behind than that (a slow machine,
+            // or the tab was in the background) the rest gets dropped and it runs slower rather than
+            // falling further and further behind.
+            maxSubsteps = 4,
+        } = options;
+        this.maxSubsteps = maxSubsteps;
+        // simulated seconds and steps since the start, or the last reset.
+        this.time = 0;
+        this.steps = 0;
+        this.paused = false;
+        // steps still to take while paused, from advance().
+        this.pending = 0;
+        // real seconds that haven't been simulated yet.
+        this.accumulator = 0;
+        // requestAnimationFrame timestamp of the last frame, and steps taken in this one.
+        this.last = null;
+        this.substeps = 0;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.pending = 0;
+    }
+
+    toggle() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    advance(steps = 1) {
+        // pauses first, so exactly this many steps get taken.
+        this.pause();
+        this.pending += steps;
+    }
+
+    reset() {
+        this.time = 0;
+        this.steps = 0;
+        this.pending = 0;
+        this.accumulator = 0;
+    }
+
+    frame(now) {
+        // now is the requestAnimationFrame timestamp, in ms. time doesn't pile up while paused.
+        const elapsed = this.last === null ? 0 : (now - this.last) / 1000;
+        this.last = now;
+        this.substeps = 0;
+        if (!this.paused) {
+            this.accumulator += elapsed;
+        }
+    }
+
+    ready(dt) {
+        // whether to take another step of dt this frame.
+        if (this.paused) {
+            return this.pending > 0;
+        }
+        if (this.substeps >= this.maxSubsteps) {
+            this.accumulator = 0;
+            return false;
+        }
+        return this.accumulator >= dt;
+    }
+
+    tick(dt) {
+        // called after each step the loop takes.
+        this.time += dt;
+        this.steps++;
+        this.substeps++;
+        if (this.paused) {
+            this.pending--;
+        } else {
+            this.accumulator -= dt;
+        }
+    }
+}
+
+function cflStep(backend, dt, cfl) {
+    // the largest step up to dt that doesn't move anything more than cfl cells, so fast flow gets
+    // smaller steps. velocity is in grid lengths per second, so a step of dt moves
+    // dt * speed * N cells.
+    const speed = backend.maxSpeed('uv');
+    if (speed <= 0) {
+        return dt;
+    }
+    return Math.min(dt, cfl / (speed * (backend.size - 2)));
+}
+
+export { Clock, cflStep };
@@ -0,0 +1,86 @@
+// From where a pointer is on the page to where it is on the grid, whatever size the canvas is shown
+// at, however it's transformed with css, whatever the devicePixelRatio and with or without
+// letterboxing from object-fit.
+//
+// pointerPosition gives [x, y] in [0, 1] of what's drawn on the canvas, toCell turns that into
+// cells. toCanvas goes back the other way, for drawing on top of the grid.
+
+function localPoint(e, element) {
+    // the pointer in the element's own css pixels, before any css transform (rotate, scale...).
+    // offsetX / offsetY already are, as long as the event is for the element, which it is for a
+    // pointer that's been captured.
+    if (e.target === element && e.offsetX !== undefined) {
+        return [e.offsetX, e.offsetY];
+    }
+    // not transform aware, but the best there is otherwise.
+    const rect = element.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+}
+
+function contentBox(element) {
+    // where the canvas' pixels actually end up inside the element, in its css pixels. offsetX / Y
+    // start at the padding edge.
+    const style = getComputedStyle(element);
+    const left = parseFloat(style.paddingLeft) || 0;
+    const top = parseFloat(style.paddingTop) || 0;
+    const width = element.clientWidth - left - (parseFloat(style.paddingRight) || 0);
+    const height = element.clientHeight - top - (parseFloat(style.paddingBottom) || 0);
+
+    const fit = style.objectFit;
+    if (fit !== 'contain' && fit !== 'cover' && fit !== 'scale-down' && fit !== 'none') {
+        // fill, the default, stretches the pixels over the whole box.
+        return { left, top, width, height };
+    }
+    // the rest keep the aspect ratio, centred (object-position isn't taken into account).
+    let scale;
+    if (fit === 'cover') {
+        scale = Math.max(width / element.width, height / element.height);
+    } else if (fit === 'none') {
+        scale = 1;
+    } else {
+        scale = Math.min(width / element.width, height / element.height);
+        if (fit === 'scale-down') {
+            scale = Math.min(scale, 1);
+        }
+    }
+    const drawnWidth = element.width * scale;
+    const drawnHeight = element.height * scale;
+    return {
+        left: left + (width - drawnWidth) / 2,
+        top: top + (height - drawnHeight) / 2,
+        width: drawnWidth,
+        height: drawnHeight,
+    };
+}
+
+function pointerPosition(e, element, options = {}) {
+    const {
+        // gl draws row 0 at the bottom, a 2d canvas at the top.
+        flipY = false,
+    } = options;
+    const [px, py] = localPoint(e, element);
+    const box = contentBox(element);
+    const x = (px - box.left) / box.width;
+    const y = (py - box.top) / box.height;
+    return [x, flipY ? 1 - y : y];
+}
+
+function toCell(position, size, withBoundary = true) {
+    // position from pointerPosition. size includes the boundary, withBoundary is whether the
+    // boundary cells are drawn on the canvas too or only the n inside them.
+    const [x, y] = position;
+    if (withBoundary) {
+        return [x * size, y * size];
+    }
+    const n = size - 2;
+    return [1 + x * n, 1 + y * n];
+}
+
+function toCanvas(point, size, withBoundary = true) {
+    // the other way, a point in [0, 1] of the grid inside the boundary (like the emitters and the
+    // overlays) to [0, 1] of the canvas. y is still the grid's way up.
+    const n = size - 2;
+    return withBoundary ? point.map(p => (1 + p * n) / size) : point;
+}
+
+export { pointerPosition, toCell, toCanvas };
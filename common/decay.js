@@ -0,0 +1,74 @@
+// How the density (and the dye with it) fades away, by simulation time rather than per step, so it
+// fades the same however big the steps are.
+//
+// decay is { model, rate, halfLife, report }:
+// * none - it only goes where the velocity takes it.
+// * linear - rate density per second off every cell, down to 0. Thick and thin go at the same
+//   speed, so wisps vanish long before a plume does. What the pages used to do, per step.
+// * exponential - every cell halves every halfLife seconds, so everything fades together.
+// report - total up the density each step, see DensityLedger. Costs a few round trips from the gpu.
+// A plain number is a linear rate.
+//
+// Backends do fade(factor, amount), every cell going to max(x * factor - amount, 0), and for the
+// report totalDensity(), the sum over the non-boundary cells.
+
+const DECAY_MODELS = {
+    None: 'none',
+    Linear: 'linear',
+    Exponential: 'exponential',
+};
+
+const DEFAULT_DECAY = {
+    model: DECAY_MODELS.Exponential,
+    rate: 1,
+    halfLife: 2,
+    report: false,
+};
+
+function normalizeDecay(decay = {}) {
+    const normalized = typeof decay === 'number'
+        ? { ...DEFAULT_DECAY, model: DECAY_MODELS.Linear, rate: decay }
+        : { ...DEFAULT_DECAY, ...decay };
+    if (!Object.values(DECAY_MODELS).includes(normalized.model)) {
+        throw new Error(`Unknown decay model ${normalized.model}`);
+    }
+    return normalized;
+}
+
+function fadeBy(decay, dt) {
+    // [factor, amount] for backend.fade over a step of dt seconds.
+    const { model, rate, halfLife } = normalizeDecay(decay);
+    if (model === DECAY_MODELS.Linear) {
+        return [1, rate * dt];
+    }
+    if (model === DECAY_MODELS.Exponential && halfLife > 0) {
+        return [Math.pow(0.5, dt / halfLife), 0];
+    }
+    return [1, 0];
+}
+
+class DensityLedger {
+    // Where the density has gone since the start, from the { before, moved, faded, after } totals
+    // that step() reports. injected is what sources (and the initial fields) put in, faded what decay
+    // took out, and lost what went out of open edges or got lost (or made) by advection.
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.injected = 0;
+        this.faded = 0;
+        this.lost = 0;
+        this.remaining = 0;
+    }
+
+    record(density) {
+        // between the end of the last step and the start of this one, it can only have come in.
+        this.injected += density.before - this.remaining;
+        this.lost -= density.moved;
+        this.faded += density.faded;
+        this.remaining = density.after;
+    }
+}
+
+export { DECAY_MODELS, DEFAULT_DECAY, normalizeDecay, fadeBy, DensityLedger };
@@ -0,0 +1,14 @@
+// Saving something the page made as a file, for recordings (recorder.js) and captures (capture.js).
+// Browser only.
+
+function downloadBlob(name, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    // not straight away, some browsers haven't started reading it by the time click() returns.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export { downloadBlob };
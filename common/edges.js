@@ -0,0 +1,57 @@
+// What happens at each of the 4 edges of the grid. The paper only has solid walls, and leaves
+// wrapping around and a fixed inflow like a wind tunnel as exercises.
+//
+// The edges are named in grid terms: left is i = 0, right is i = N + 1, bottom is j = 0 and top is
+// j = N + 1 (which is how gl draws it, the canvas page draws j = 0 at the top). Backends take them
+// through setEdges(edges), see setBoundary in 2d-canvas/solver.js and 2d-webgl/gl.js.
+
+const EDGES = {
+    // what the paper does. the velocity going into the wall is reflected, everything else is
+    // continuous.
+    Solid: 0,
+    // flow that leaves the edge comes back in on the opposite one, which has to be periodic too.
+    Periodic: 1,
+    // outflow. everything is continuous through the edge, and the pressure is held at 0 there
+    // so the fluid can actually leave.
+    Open: 2,
+    // a fixed velocity coming in, e.g. { type: EDGES.Inflow, u: 1, v: 0 } on the left for a wind
+    // tunnel. u and v are in grid lengths per second.
+    Inflow: 3,
+};
+
+const SIDES = ['left', 'right', 'bottom', 'top'];
+
+const OPPOSITE = {
+    left: 'right',
+    right: 'left',
+    bottom: 'top',
+    top: 'bottom',
+};
+
+function normalizeEdges(edges = {}) {
+    // edges is { left, right, bottom, top }, each either an EDGES type or { type, u, v }. Missing
+    // ones are solid. Gives back { type, u, v } for all 4.
+    const normalized = {};
+    SIDES.forEach(side => {
+        const edge = edges[side] ?? EDGES.Solid;
+        const { type, u = 0, v = 0 } = typeof edge === 'object' ? edge : { type: edge };
+        if (!Object.values(EDGES).includes(type)) {
+            throw new Error(`Unknown edge type ${type} for ${side}`);
+        }
+        normalized[side] = { type, u, v };
+    });
+    SIDES.forEach(side => {
+        const periodic = normalized[side].type === EDGES.Periodic;
+        if (periodic !== (normalized[OPPOSITE[side]].type === EDGES.Periodic)) {
+            throw new Error(`The ${side} and ${OPPOSITE[side]} edges both need to be periodic, or neither`);
+        }
+    });
+    return normalized;
+}
+
+function hasOpenEdge(edges) {
+    // without one, the pressure is only known up to a constant.
+    return SIDES.some(side => edges[side].type === EDGES.Open);
+}
+
+export { EDGES, SIDES, normalizeEdges, hasOpenEdge };
@@ -0,0 +1,146 @@
+// Sources of density and velocity that are part of the scene rather than coming from the pointer.
+// The fan that used to be hard-coded on the left edge is just one of them now, see FAN.
+//
+// An emitter is one of
+// { type: 'point', x, y, radius }
+// { type: 'line', x0, y0, x1, y1, width }
+// { type: 'area', x, y, width, height }
+// in [0, 1] of the grid (i along x, j along y), the same as the obstacles. A point or a line is
+// always at least a cell across, so a width of 0 is a line one cell thick.
+//
+// Along with
+// direction - which way it blows, in degrees. 0 is along i (left to right), 90 along j.
+// velocity - what gets added to the velocity of the cells under it each step.
+// density - what gets added to their density each step.
+// heat - what gets added to their temperature each step, for buoyancy (see buoyancy.js). Fire is a lot
+//   of heat with a little density.
+// profile - how that falls off from the middle of it, 'flat', 'triangle' or 'gaussian'. Along a
+//   line that's towards its ends, for a point or an area towards its edge.
+// colour - [r, g, b] of the dye that goes in with the density.
+// schedule - { start, end, period, on } in seconds of simulation time. It's on from start until end,
+//   and if there's a period, only for the first `on` seconds of each one, e.g. { period: 2, on: 0.5 }
+//   puffs every two seconds.
+//
+// Backends take the ones that are on with addEmitters, each with its own single pass over the grid
+// for all of them. gl.js has the same weight in glsl.
+
+const EMITTER_TYPES = {
+    Point: 'point',
+    Line: 'line',
+    Area: 'area',
+};
+
+const PROFILES = {
+    Flat: 'flat',
+    // 1 in the middle down to 0 at the ends, like the fan.
+    Triangle: 'triangle',
+    Gaussian: 'gaussian',
+};
+
+const DEFAULT_EMITTER = {
+    type: EMITTER_TYPES.Point,
+    radius: 0,
+    width: 0,
+    direction: 0,
+    velocity: 0,
+    density: 0,
+    heat: 0,
+    profile: PROFILES.Flat,
+    colour: [1, 1, 1],
+    schedule: {},
+};
+
+// What addFanDensityForces used to do, blowing in from the whole of the left edge. The pages give it
+// their own density and velocity.
+const FAN = {
+    type: EMITTER_TYPES.Line,
+    x0: 0,
+    y0: 0,
+    x1: 0,
+    y1: 1,
+    direction: 0,
+    profile: PROFILES.Triangle,
+};
+
+function normalizeEmitter(emitter) {
+    const normalized = { ...DEFAULT_EMITTER, ...emitter };
+    if (!Object.values(EMITTER_TYPES).includes(normalized.type)) {
+        throw new Error(`Unknown emitter type ${normalized.type}`);
+    }
+    if (!Object.values(PROFILES).includes(normalized.profile)) {
+        throw new Error(`Unknown emitter profile ${normalized.profile}`);
+    }
+    return normalized;
+}
+
+function isOn(schedule, time) {
+    const { start = 0, end = Infinity, period = 0, on = period } = schedule;
+    if (time < start || time >= end) {
+        return false;
+    }
+    return period <= 0 || (time - start) % period < on;
+}
+
+function activeEmitters(emitters, time, strength = 1) {
+    // the ones that are on at time, with their density, heat and velocity scaled by strength.
+    return emitters
+        .map(normalizeEmitter)
+        .filter(emitter => isOn(emitter.schedule, time))
+        .map(emitter => ({
+            ...emitter,
+            density: emitter.density * strength,
+            heat: emitter.heat * strength,
+            velocity: emitter.velocity * strength,
+        }));
+}
+
+function emitterVelocity(emitter) {
+    // [u, v] from the direction and velocity.
+    const angle = emitter.direction * Math.PI / 180;
+    return [Math.cos(angle) * emitter.velocity, Math.sin(angle) * emitter.velocity];
+}
+
+function falloff(profile, s) {
+    // s is 0 in the middle of the emitter and 1 at its edge.
+    if (profile === PROFILES.Triangle) {
+        return 1 - s;
+    }
+    if (profile === PROFILES.Gaussian) {
+        return Math.exp(-4 * s * s);
+    }
+    return 1;
+}
+
+function emitterWeight(emitter, i, j, n) {
+    // how much of the emitter cell i, j gets, 0 to 1. everything's in cells from here, with the
+    // centre of cell i at i - 0.5 of the way across.
+    const px = i - 0.5;
+    const py = j - 0.5;
+    if (emitter.type === EMITTER_TYPES.Point) {
+        const radius = Math.max(emitter.radius * n, 1);
+        const d = Math.hypot(px - emitter.x * n, py - emitter.y * n);
+        return d > radius ? 0 : falloff(emitter.profile, d / radius);
+    }
+    if (emitter.type === EMITTER_TYPES.Line) {
+        const ax = emitter.x0 * n;
+        const ay = emitter.y0 * n;
+        const dx = emitter.x1 * n - ax;
+        const dy = emitter.y1 * n - ay;
+        const length2 = dx * dx + dy * dy;
+        const t = length2 > 0 ? Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / length2, 0), 1) : 0;
+        const d = Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+        if (d > Math.max(emitter.width * n / 2, 0.5)) {
+            return 0;
+        }
+        return falloff(emitter.profile, Math.abs(t * 2 - 1));
+    }
+    // area
+    const u = (px - emitter.x * n) / (emitter.width * n);
+    const v = (py - emitter.y * n) / (emitter.height * n);
+    if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) {
+        return 0;
+    }
+    return falloff(emitter.profile, Math.max(Math.abs(u * 2 - 1), Math.abs(v * 2 - 1)));
+}
+
+export { EMITTER_TYPES, PROFILES, FAN, normalizeEmitter, activeEmitters, emitterVelocity, emitterWeight };
@@ -0,0 +1,45 @@
+// What the fields start out as, and go back to on a reset, when all zeros isn't wanted. Each entry
+// is a shape like the obstacles take (see obstacles.js), with what to fill it with, e.g.
+// { type: 'circle', x: 0.5, y: 0.3, radius: 0.1, density: 50, u: 0, v: 2, colour: [1, 0.5, 0], temperature: 20 }
+// u and v are in grid lengths per second, same as everywhere else, colour is the dye's, white if
+// it's left out, and temperature is above the ambient, see buoyancy.js. Later shapes win where they overlap.
+
+import { Obstacles } from './obstacles.js';
+
+function initialFields(size, shapes) {
+    // x is a float per cell, uv has u and v next to each other and dye r, g and b, the layout
+    // backends take in setField. t is the temperature, a float per cell like x.
+    const x = new Float32Array(size * size);
+    const t = new Float32Array(size * size);
+    const uv = new Float32Array(size * size * 2);
+    const dye = new Float32Array(size * size * 3);
+    shapes.forEach(shape => {
+        const { density = 0, u = 0, v = 0, colour = [1, 1, 1], temperature = 0 } = shape;
+        const area = new Obstacles(size);
+        area.addShape({ ...shape, solid: true });
+        area.mask.forEach((inside, index) => {
+            if (inside > 0) {
+                x[index] = density;
+                t[index] = temperature;
+                uv[index * 2] = u;
+                uv[index * 2 + 1] = v;
+                colour.forEach((c, k) => dye[index * 3 + k] = density * c);
+            }
+        });
+    });
+    return { x, uv, dye, t };
+}
+
+function resetFields(backend, shapes = []) {
+    backend.reset();
+    if (shapes.length === 0) {
+        return;
+    }
+    const { x, uv, dye, t } = initialFields(backend.size, shapes);
+    backend.setField('x', x);
+    backend.setField('uv', uv);
+    backend.setField('dye', dye);
+    backend.setField('t', t);
+}
+
+export { initialFields, resetFields };
@@ -0,0 +1,151 @@
+// Solid cells inside the grid, for flow around shapes rather than only in an empty box.
+//
+// The mask has a float per cell (same layout as the fields, i + j * size, boundary cells included),
+// 1 for solid and 0 for fluid. Backends take it through setObstacles(mask, wall) and treat the solid
+// cells a lot like the boundary cells, see setBoundary in 2d-canvas/solver.js and 2d-webgl/gl.js.
+
+const WALLS = {
+    // the fluid sticks to the walls, both velocity components go to 0 at the wall.
+    NoSlip: 0,
+    // the fluid slides along the walls, only the component going into the wall goes to 0.
+    FreeSlip: 1,
+};
+
+class Obstacles {
+    constructor(size) {
+        // cell size accounting for the edge boundary cells.
+        this.size = size;
+        this.n = size - 2;
+        this.mask = new Float32Array(size * size);
+    }
+
+    clear() {
+        this.mask.fill(0);
+    }
+
+    get empty() {
+        return !this.mask.some(m => m > 0);
+    }
+
+    // Calls fn with the cell and the centre of the cell in [0, 1] on both axes, for every
+    // non-boundary cell. Shapes use [0, 1] so they don't depend on N.
+    forEachCell(fn) {
+        const { n, size } = this;
+        for (let j = 1; j <= n; j++) {
+            for (let i = 1; i <= n; i++) {
+                fn(i + j * size, (i - 0.5) / n, (j - 0.5) / n);
+            }
+        }
+    }
+
+    addCircle(x, y, radius, solid = true) {
+        this.forEachCell((index, cx, cy) => {
+            if ((cx - x) ** 2 + (cy - y) ** 2 <= radius ** 2) {
+                this.mask[index] = solid ? 1 : 0;
+            }
+        });
+    }
+
+    addRect(x, y, width, height, solid = true) {
+        this.forEachCell((index, cx, cy) => {
+            if (cx >= x && cx <= x + width && cy >= y && cy <= y + height) {
+                this.mask[index] = solid ? 1 : 0;
+            }
+        });
+    }
+
+    addPolygon(points, solid = true) {
+        // points is [[x, y], ...], even-odd rule.
+        this.forEachCell((index, cx, cy) => {
+            let inside = false;
+            for (let k = 0, l = points.length - 1; k < points.length; l = k++) {
+                const [xk, yk] = points[k];
+                const [xl, yl] = points[l];
+                if ((yk > cy) !== (yl > cy) && cx < (xl - xk) * (cy - yk) / (yl - yk) + xk) {
+                    inside = !inside;
+                }
+            }
+            if (inside) {
+                this.mask[index] = solid ? 1 : 0;
+            }
+        });
+    }
+
+    addShape(shape) {
+        // e.g. { type: 'circle', x: 0.5, y: 0.5, radius: 0.1 }
+        // { type: 'rect', x: 0.2, y: 0.4, width: 0.1, height: 0.2 }
+        // { type: 'polygon', points: [[0.3, 0.3], [0.4, 0.5], [0.3, 0.7]] }
+        const { solid = true } = shape;
+        switch (shape.type) {
+        case 'circle':
+            this.addCircle(shape.x, shape.y, shape.radius, solid);
+            break;
+        case 'rect':
+            this.addRect(shape.x, shape.y, shape.width, shape.height, solid);
+            break;
+        case 'polygon':
+            this.addPolygon(shape.points, solid);
+            break;
+        default:
+            throw new Error(`Unknown obstacle shape ${shape.type}`);
+        }
+    }
+
+    paint(i, j, radius, solid = true) {
+        // i, j and radius are in cells, for drawing with the mouse.
+        const { n, size } = this;
+        const r = Math.ceil(radius);
+        for (let y = Math.max(1, (j | 0) - r); y <= Math.min(n, (j | 0) + r); y++) {
+            for (let x = Math.max(1, (i | 0) - r); x <= Math.min(n, (i | 0) + r); x++) {
+                if ((x - i) ** 2 + (y - j) ** 2 <= radius ** 2) {
+                    this.mask[x + y * size] = solid ? 1 : 0;
+                }
+            }
+        }
+    }
+
+    resized(size) {
+        // the same obstacles on a grid with a different size, nearest cell.
+        const resized = new Obstacles(size);
+        resized.forEachCell((index, cx, cy) => {
+            const i = Math.min(this.n, Math.floor(cx * this.n) + 1);
+            const j = Math.min(this.n, Math.floor(cy * this.n) + 1);
+            resized.mask[index] = this.mask[i + j * this.size];
+        });
+        return resized;
+    }
+
+    addImage(image, flipY = false) {
+        // image is anything shaped like ImageData ({ width, height, data } with rgba bytes).
+        // Opaque, dark pixels are solid. Row 0 of the image is j = 1 unless flipY.
+        const { width, height, data } = image;
+        this.forEachCell((index, cx, cy) => {
+            const px = Math.min(width - 1, (cx * width) | 0);
+            const py = Math.min(height - 1, ((flipY ? 1 - cy : cy) * height) | 0);
+            const o = (px + py * width) * 4;
+            const luminance = 0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2];
+            if (data[o + 3] > 127 && luminance < 128) {
+                this.mask[index] = 1;
+            }
+        });
+    }
+}
+
+function loadImage(url) {
+    // Browser only, turns an image url into ImageData for Obstacles.addImage.
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            resolve(ctx.getImageData(0, 0, img.width, img.height));
+        };
+        img.onerror = () => reject(new Error(`Failed to load ${url}`));
+        img.src = url;
+    });
+}
+
+export { WALLS, Obstacles, loadImage };
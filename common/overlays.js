@@ -0,0 +1,208 @@
+// Things drawn on top of the render to see what the velocity is doing, each on or off by itself:
+// arrows - a coarse grid of them along the velocity, the fastest one as long as the gap between them.
+// streamlines - lines following the velocity as it is right now, from the same grid.
+// tracers - massless particles carried along by the velocity, that start again somewhere random when
+//   they get old or leave the grid.
+//
+// They work from a sample of the velocity m across from the backend's readVelocity(m), rather than the
+// whole grid, which would be a lot to read back from the gpu every frame. Everything here is in [0, 1]
+// of the grid inside the boundary, like the emitters and obstacles, and the pages give a toPixel that
+// turns that into where it is on their canvas.
+
+function velocityAt(velocity, x, y) {
+    // [u, v] at x, y, in grid lengths per second, from the samples in the middle of each of the m x m.
+    const { m, u, v } = velocity;
+    const fx = Math.min(Math.max(x * m - 0.5, 0), m - 1);
+    const fy = Math.min(Math.max(y * m - 0.5, 0), m - 1);
+    const k0 = Math.floor(fx);
+    const l0 = Math.floor(fy);
+    const k1 = Math.min(k0 + 1, m - 1);
+    const l1 = Math.min(l0 + 1, m - 1);
+    const s = fx - k0;
+    const t = fy - l0;
+    const lerp = (f) => (1 - s) * ((1 - t) * f[k0 + l0 * m] + t * f[k0 + l1 * m]) + s * ((1 - t) * f[k1 + l0 * m] + t * f[k1 + l1 * m]);
+    return [lerp(u), lerp(v)];
+}
+
+function inside(x, y) {
+    return x >= 0 && x <= 1 && y >= 0 && y <= 1;
+}
+
+function seeds(count) {
+    // the middle of each cell of a count x count grid, where the arrows and streamlines start.
+    const points = [];
+    for (let l = 0; l < count; l++) {
+        for (let k = 0; k < count; k++) {
+            points.push([(k + 0.5) / count, (l + 0.5) / count]);
+        }
+    }
+    return points;
+}
+
+function arrows(velocity, count) {
+    // [from, to] for each arrow, scaled so the fastest is 1 / count long.
+    const points = seeds(count).map(([x, y]) => [x, y, ...velocityAt(velocity, x, y)]);
+    const fastest = Math.max(...points.map(([, , u, v]) => Math.hypot(u, v)));
+    if (fastest === 0) {
+        return [];
+    }
+    const scale = 1 / (count * fastest);
+    return points.map(([x, y, u, v]) => [[x, y], [x + u * scale, y + v * scale]]);
+}
+
+function streamline(velocity, seed, h, steps) {
+    // the points along the velocity from seed, both ways, h apart. midpoint steps, so it doesn't spiral
+    // out of every vortex.
+    const trace = (direction) => {
+        // which way is along the line at px, py, null where it's still.
+        const along = (px, py) => {
+            const [u, v] = velocityAt(velocity, px, py);
+            const speed = Math.hypot(u, v);
+            return speed > 1e-9 ? [direction * u / speed, direction * v / speed] : null;
+        };
+        const points = [];
+        let [x, y] = seed;
+        for (let k = 0; k < steps; k++) {
+            const first = along(x, y);
+            const mid = first && along(x + first[0] * h / 2, y + first[1] * h / 2);
+            if (!mid) {
+                break;
+            }
+            x += mid[0] * h;
+            y += mid[1] * h;
+            if (!inside(x, y)) {
+                break;
+            }
+            points.push([x, y]);
+        }
+        return points;
+    };
+    return [...trace(-1).reverse(), seed, ...trace(1)];
+}
+
+function streamlines(velocity, count) {
+    // one from each seed, about 5 of the gaps between them each way.
+    return seeds(count).map(seed => streamline(velocity, seed, 0.25 / count, 20));
+}
+
+class Tracers {
+    constructor() {
+        // { x, y, age } for each, age in seconds.
+        this.particles = [];
+    }
+
+    spawn(life) {
+        // somewhere random, partway through its life so they don't all start again together.
+        return { x: Math.random(), y: Math.random(), age: Math.random() * life };
+    }
+
+    reset() {
+        this.particles = [];
+    }
+
+    advance(velocity, dt, count, life) {
+        // moves them dt seconds along the velocity, topping them up to count.
+        while (this.particles.length < count) {
+            this.particles.push(this.spawn(life));
+        }
+        this.particles.length = count;
+        this.particles = this.particles.map((particle) => {
+            const { x, y } = particle;
+            const [u, v] = velocityAt(velocity, x, y);
+            const [mu, mv] = velocityAt(velocity, x + u * dt / 2, y + v * dt / 2);
+            const moved = { x: x + mu * dt, y: y + mv * dt, age: particle.age + dt };
+            if (moved.age > life || !inside(moved.x, moved.y)) {
+                return { ...this.spawn(life), age: 0 };
+            }
+            return moved;
+        });
+    }
+}
+
+function drawArrow(ctx, from, to) {
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+    const length = Math.hypot(dx, dy);
+    if (length < 1) {
+        return;
+    }
+    // the head's a third of it, swept back 25 degrees either side.
+    const head = length / 3;
+    const angle = Math.atan2(dy, dx);
+    ctx.moveTo(from[0], from[1]);
+    ctx.lineTo(to[0], to[1]);
+    [-1, 1].forEach((side) => {
+        const a = angle + Math.PI - side * 25 * Math.PI / 180;
+        ctx.moveTo(to[0], to[1]);
+        ctx.lineTo(to[0] + Math.cos(a) * head, to[1] + Math.sin(a) * head);
+    });
+}
+
+function drawOverlays(ctx, velocity, options, tracers, toPixel) {
+    // options are the overlays setting, tracers the Tracers to draw.
+    const { count, colour } = options;
+    ctx.save();
+    ctx.strokeStyle = colour;
+    ctx.fillStyle = colour;
+    ctx.lineWidth = 1;
+
+    if (options.arrows) {
+        ctx.beginPath();
+        arrows(velocity, count).forEach(([from, to]) => drawArrow(ctx, toPixel(from), toPixel(to)));
+        ctx.stroke();
+    }
+
+    if (options.streamlines) {
+        ctx.beginPath();
+        streamlines(velocity, count).forEach((line) => {
+            line.map(toPixel).forEach(([px, py], k) => (k === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+        });
+        ctx.stroke();
+    }
+
+    if (options.tracers) {
+        tracers.particles.forEach(({ x, y }) => {
+            const [px, py] = toPixel([x, y]);
+            ctx.fillRect(px - 1, py - 1, 2, 2);
+        });
+    }
+
+    ctx.restore();
+}
+
+function isShowing(options) {
+    return options.arrows || options.streamlines || options.tracers;
+}
+
+function overlayCanvas() {
+    // a 2d canvas to draw them on for pages whose canvas is webgl, see fitOverlay. pointer events go
+    // through it to the canvas underneath.
+    const overlay = document.createElement('canvas');
+    overlay.style.position = 'fixed';
+    overlay.style.pointerEvents = 'none';
+    document.body.appendChild(overlay);
+    return overlay.getContext('2d');
+}
+
+function fitOverlay(ctx, canvas) {
+    // puts the overlay over canvas, a pixel for each screen pixel, and clears it. the canvas can get
+    // resized or swapped out, so this goes before each draw.
+    const overlay = ctx.canvas;
+    const box = canvas.getBoundingClientRect();
+    const scale = window.devicePixelRatio || 1;
+    Object.assign(overlay.style, {
+        left: `${box.left}px`,
+        top: `${box.top}px`,
+        width: `${box.width}px`,
+        height: `${box.height}px`,
+    });
+    const width = Math.round(box.width * scale);
+    const height = Math.round(box.height * scale);
+    if (overlay.width !== width || overlay.height !== height) {
+        overlay.width = width;
+        overlay.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+}
+
+export { Tracers, velocityAt, arrows, streamlines, drawOverlays, isShowing, overlayCanvas, fitOverlay };
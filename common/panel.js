@@ -0,0 +1,161 @@
+// An overlay with controls for the settings (see settings.js), so they can be tweaked while the sim
+// runs rather than by editing the source and reloading.
+//
+// controls is a list of e.g.
+// { key: 'sourceDensity', label: 'source density', min: 0, max: 50, step: 0.5 } - a slider, with a box
+//   for typing in values the slider can't get to.
+// { key: 'mode', options: MODES } - a dropdown, options being { name: value }.
+// { key: 'vizBoundary' } - a checkbox, for boolean settings.
+// key can be nested, e.g. 'pressure.maxIterations'.
+//
+// actions are buttons, { label, onClick }, where label can be a function for buttons like pause
+// that change what they say.
+
+const STYLE = `
+    #panel {
+        position: fixed;
+        top: 8px;
+        left: 8px;
+        z-index: 1;
+        padding: 6px 10px;
+        max-height: calc(100vh - 32px);
+        overflow-y: auto;
+        background: rgba(30, 30, 30, 0.85);
+        color: white;
+        font: 12px sans-serif;
+        border-radius: 4px;
+    }
+    #panel label {
+        display: grid;
+        grid-template-columns: 110px 120px 70px;
+        align-items: center;
+        gap: 6px;
+        margin: 4px 0;
+    }
+    #panel input[type=number] {
+        width: 100%;
+    }
+    #panel .actions {
+        display: flex;
+        gap: 6px;
+        margin-top: 6px;
+    }
+`;
+
+class Panel {
+    constructor(settings, controls, actions = []) {
+        this.settings = settings;
+        this.controls = controls;
+        this.actions = actions;
+        // key => function that puts the current value into that control's inputs.
+        this.updaters = {};
+        this.buttons = [];
+
+        this.setupStyle();
+        this.setupElements();
+
+        settings.onChange(() => this.update());
+    }
+
+    setupStyle() {
+        if (document.getElementById('panel-style')) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = 'panel-style';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+    }
+
+    setupElements() {
+        const root = document.createElement('details');
+        root.id = 'panel';
+        root.open = true;
+        const summary = document.createElement('summary');
+        summary.textContent = 'settings';
+        root.appendChild(summary);
+
+        this.controls.forEach(control => root.appendChild(this.createControl(control)));
+
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        this.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.onclick = () => {
+                action.onClick();
+                this.updateButtons();
+            };
+            this.buttons.push({ button, action });
+            actions.appendChild(button);
+        });
+        root.appendChild(actions);
+
+        document.body.appendChild(root);
+        this.root = root;
+        this.update();
+    }
+
+    createControl(control) {
+        const { key, label = key } = control;
+        const row = document.createElement('label');
+        const name = document.createElement('span');
+        name.textContent = label;
+        row.appendChild(name);
+
+        const value = this.settings.get(key);
+        const set = (v) => this.settings.setValue(key, v);
+
+        if (control.options) {
+            const select = document.createElement('select');
+            Object.keys(control.options).forEach(option => {
+                const element = document.createElement('option');
+                element.textContent = option;
+                element.value = JSON.stringify(control.options[option]);
+                select.appendChild(element);
+            });
+            select.onchange = () => set(JSON.parse(select.value));
+            this.updaters[key] = (v) => select.value = JSON.stringify(v);
+            row.appendChild(select);
+        } else if (typeof value === 'boolean') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.onchange = () => set(checkbox.checked);
+            this.updaters[key] = (v) => checkbox.checked = v;
+            row.appendChild(checkbox);
+        } else {
+            const { min = 0, max = 1, step = 0.01 } = control;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            Object.assign(slider, { min, max, step });
+            const number = document.createElement('input');
+            number.type = 'number';
+            number.step = 'any';
+            slider.oninput = () => set(Number(slider.value));
+            number.onchange = () => {
+                if (number.value !== '' && !isNaN(Number(number.value))) {
+                    set(Number(number.value));
+                }
+            };
+            this.updaters[key] = (v) => {
+                slider.value = v;
+                number.value = v;
+            };
+            row.appendChild(slider);
+            row.appendChild(number);
+        }
+        return row;
+    }
+
+    update() {
+        Object.keys(this.updaters).forEach(key => this.updaters[key](this.settings.get(key)));
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        this.buttons.forEach(({ button, action }) => {
+            button.textContent = typeof action.label === 'function' ? action.label() : action.label;
+        });
+    }
+}
+
+export { Panel };
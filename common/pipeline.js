@@ -0,0 +1,173 @@
+// The densityStep / velocityStep orchestration from the paper, written once against a 'backend'
+// so the same steps can be run on the gpu (2d-webgl/gl.js) or on the cpu (2d-canvas/solver.js).
+//
+// A backend owns its fields (textures or arrays) and refers to them by name. 'uv' and 'uv0' are the
+// velocity, with both components in one field, 'x' and 'x0' the density, 'dye' and 'dye0' the density
+// times the [r, g, b] colour it went in with, 'p' and 'div' the pressure and divergence for the
+// projection, 'curl' the vorticity for confining it, and 't' and 't0' the temperature for buoyancy. It needs:
+// * size - cell count along an edge, including the 2 boundary cells.
+// * solveLinear(x, x0, a, c) - one relaxation iteration of x = (x0 + a * (neighbours of x)) / c, on either
+//   kind of field.
+// * setBoundary(target, boundary) - boundary is 0 for scalars, 1 for velocity and 3 for pressure (the paper
+//   does u and v separately as 1 and 2). Pressure is a scalar too, apart from at open edges where it's held at 0.
+// * copyPixels(source, target)
+// * clear(target) - sets every cell of target to 0.
+// * advect(dt0, target, source, uv) - semi-lagrangian backtrace of source along uv. dt0 can be negative
+//   for going forward along it instead.
+// * divergence(h, target, uv)
+// * subtractGradient(h, uv, p) - subtracts the gradient of p from uv.
+// * maxSpeed(uv) - largest velocity in the grid, in grid lengths per second, see cflStep in clock.js.
+// * vorticity(target, uv) - the curl of uv, dv/dx - du/dy, into target.
+// * confine(dt, epsilon, uv, curl) - adds the vorticity confinement force to uv, see confine below.
+// * fade(factor, amount) - every cell of the density to max(x * factor - amount, 0), with the dye going down by
+//   the same fraction so it keeps its colour, see decay.js.
+// * totalDensity() - the density added up over the non-boundary cells, for decay.report.
+// * addBuoyancy(dt, up, lift, weight) and cool(factor) - see buoyancy.js.
+// * addEmitters(emitters) - adds what each emitter puts in to density, dye, temperature and velocity, see
+//   common/emitters.js.
+// * addMouseDensityForces(sourceDensity, target, xVelocity, yVelocity, force, brush) - target is [i, j] in cells,
+//   and the velocity is how many cells the pointer moved this step, so the brush gets painted along the stroke from
+//   target - velocity to target. force scales the velocity, and brush is what to paint with (see brush.js), both
+//   optional. The dye gets the density in the brush's colour.
+// * reset() - clears every field, for starting over.
+// * setField(name, data) - data is a Float32Array with a float per cell, or u, v next to each other per cell for
+//   velocity and r, g, b for dye. For starting from something other than zeros, see initial.js.
+// * setObstacles(mask, wall) - solid cells, see obstacles.js. null for none.
+// * setEdges(edges) - what happens at each edge of the grid, see edges.js.
+// Backends that get drawn on screen also have render(), which draws whatever their view, colourStops and
+// viewRange say, see common/views.js, and readVelocity(m) for the overlays drawn on top, see common/overlays.js.
+// The pressure solve needs a few more, see pressure.js, and so do the better advection schemes, see
+// advection.js.
+
+import { solvePressure } from './pressure.js';
+import { advectField } from './advection.js';
+import { normalizeDecay, fadeBy } from './decay.js';
+import { normalizeBuoyancy, upward, coolBy } from './buoyancy.js';
+
+// k max is from the research paper.
+const ITERATIONS = 20;
+
+function solveLinear(backend, x, x0, boundary, a, c) {
+    for (let k = 0; k < ITERATIONS; k++) {
+        // notice that we only do this on non-boundary cells so we can sample the boundary.
+        backend.solveLinear(x, x0, a, c);
+        backend.setBoundary(x, boundary);
+    }
+}
+
+function diffuse(backend, dt, target, source, diff, boundary) {
+    const n = backend.size - 2;
+    const a = dt * diff * n * n;
+    // the source is a much better first guess than whatever was left in the target (especially
+    // for jacobi on the gpu), and if there's nothing to diffuse it's the answer.
+    backend.copyPixels(source, target);
+    if (a === 0) {
+        backend.setBoundary(target, boundary);
+        return;
+    }
+    solveLinear(backend, target, source, boundary, a, 1 + 4 * a);
+}
+
+function advect(backend, dt, target, source, uv, boundary, scheme, conserve = false) {
+    // uses a 'simple linear backtrace' to compute density diffusion, or one of the schemes in
+    // advection.js built on it. conserve stops the better schemes adding to what's moved.
+    const n = backend.size - 2;
+    const dt0 = dt * n;
+    advectField(backend, dt0, target, source, uv, boundary, scheme, conserve);
+}
+
+function project(backend, uv, pressure) {
+    // the paper assumes the grid is normalized, so it can get a spacing of the grid using 1 / N (i.e.
+    // edge length / count of cells).
+    const h = backend.size - 2;
+    backend.divergence(h, 'div', uv);
+    backend.setBoundary('div', 0);
+
+    const stats = solvePressure(backend, 'p', 'div', pressure);
+
+    backend.subtractGradient(h, uv, 'p');
+    backend.setBoundary(uv, 1);
+    return stats;
+}
+
+function confine(backend, dt, uv, epsilon) {
+    // vorticity confinement (Fedkiw, Stam and Jensen, Visual Simulation of Smoke). advect's bilinear
+    // interpolation smooths swirls away, so this pushes the velocity around wherever the curl peaks,
+    // by epsilon * h * (N x curl), N being the way to the peak. 0 turns it off.
+    if (!epsilon) {
+        return;
+    }
+    backend.vorticity('curl', uv);
+    backend.setBoundary('curl', 0);
+    backend.confine(dt, epsilon, uv, 'curl');
+    backend.setBoundary(uv, 1);
+}
+
+function densityStep(backend, dt, params) {
+    diffuse(backend, dt, 'x0', 'x', params.diffusion, 0);
+    // combines what we did in the velocity step with what we're doing in the
+    // density step. i.e. this is the only touch point between the density
+    // and the velocity vector field.
+    advect(backend, dt, 'x', 'x0', 'uv', 0, params.advection, true);
+    // the dye goes exactly the same way, so it stays the density times whatever colours mixed into it.
+    diffuse(backend, dt, 'dye0', 'dye', params.diffusion, 0);
+    advect(backend, dt, 'dye', 'dye0', 'uv', 0, params.advection, true);
+    // and so does the heat, if anything's going to rise with it.
+    if (normalizeBuoyancy(params.buoyancy).lift) {
+        diffuse(backend, dt, 't0', 't', params.diffusion, 0);
+        advect(backend, dt, 't', 't0', 'uv', 0, params.advection);
+    }
+}
+
+function buoyancy(backend, dt, uv, params) {
+    // heat rises and density sinks, see buoyancy.js. goes in with the sources, before anything's moved.
+    const { lift, weight, gravity } = normalizeBuoyancy(params);
+    if (!lift && !weight) {
+        return;
+    }
+    backend.addBuoyancy(dt, upward(gravity), lift, weight);
+    backend.setBoundary(uv, 1);
+}
+
+function velocityStep(backend, dt, params) {
+    buoyancy(backend, dt, 'uv', params.buoyancy);
+    diffuse(backend, dt, 'uv0', 'uv', params.viscosity, 1);
+    const first = project(backend, 'uv0', params.pressure);
+    advect(backend, dt, 'uv', 'uv0', 'uv0', 1, params.advection);
+    // before the projection, so what it adds comes out divergence free.
+    confine(backend, dt, 'uv', params.confinement);
+    const second = project(backend, 'uv', params.pressure);
+    // how each of the pressure solves went.
+    return [first, second];
+}
+
+function step(backend, dt, params) {
+    // the equation we deal with states (figure 1 for density, right to left)
+    // 1. density follows velocity field
+    // 2. density diffuses at certain rate
+    // 3. density increases due to sources (the + S)
+    // we solve it in reverse (add sources, diffuse, follow the velocity field)
+    const decay = normalizeDecay(params.decay);
+    // what there is after the sources went in, before moving it, and after fading it.
+    const before = decay.report ? backend.totalDensity() : 0;
+    const pressure = velocityStep(backend, dt, params);
+    densityStep(backend, dt, params);
+    const moved = decay.report ? backend.totalDensity() : 0;
+    const [factor, amount] = fadeBy(decay, dt);
+    if (factor !== 1 || amount !== 0) {
+        backend.fade(factor, amount);
+    }
+    // the heat goes back to ambient by itself too.
+    const cooled = normalizeBuoyancy(params.buoyancy).lift ? coolBy(params.buoyancy, dt) : 1;
+    if (cooled !== 1) {
+        backend.cool(cooled);
+    }
+    if (!decay.report) {
+        return { pressure, density: null };
+    }
+    const after = backend.totalDensity();
+    // totals for a DensityLedger, moved being what diffusing and advecting it changed.
+    return { pressure, density: { before, moved: moved - before, faded: moved - after, after } };
+}
+
+export { densityStep, velocityStep, step };
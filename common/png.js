@@ -0,0 +1,99 @@
+// Just enough PNG to write frames out from node, where there's no canvas to do it, see capture.js. 8 bit
+// RGBA, no filtering.
+//
+// The pixel data has to be zlib compressed. Plain js can only store it as it is (storeDeflate), which
+// is valid but big, so node passes in zlib's deflateSync instead.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(bytes, crc = 0) {
+    // the same one zip uses.
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+function storeDeflate(data) {
+    // a zlib stream of uncompressed blocks, at most 65535 bytes each.
+    const blocks = Math.max(Math.ceil(data.length / 65535), 1);
+    const out = new Uint8Array(2 + blocks * 5 + data.length + 4);
+    const view = new DataView(out.buffer);
+    // deflate, 32k window, no dictionary, fastest.
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let o = 2;
+    for (let k = 0; k < blocks; k++) {
+        const block = data.subarray(k * 65535, (k + 1) * 65535);
+        out[o] = k === blocks - 1 ? 1 : 0;
+        view.setUint16(o + 1, block.length, true);
+        view.setUint16(o + 3, ~block.length & 0xffff, true);
+        out.set(block, o + 5);
+        o += 5 + block.length;
+    }
+    view.setUint32(o, adler32(data));
+    return out;
+}
+
+function chunk(type, data) {
+    // length, type, data, then the crc of the type and data.
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        out[4 + i] = type.charCodeAt(i);
+    }
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+function encodePNG(width, height, rgba, deflate = storeDeflate) {
+    // rgba is 4 bytes a pixel, rows top to bottom. returns the file as a Uint8Array.
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    // 8 bits a channel, colour type 6 (RGBA), then compression, filter and interlace all 0.
+    header[8] = 8;
+    header[9] = 6;
+
+    // each row starts with the filter it uses, 0 for none.
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    const parts = [
+        Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a),
+        chunk('IHDR', header),
+        chunk('IDAT', deflate(raw)),
+        chunk('IEND', new Uint8Array(0)),
+    ];
+    const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    parts.reduce((o, part) => {
+        out.set(part, o);
+        return o + part.length;
+    }, 0);
+    return out;
+}
+
+export { crc32, storeDeflate, encodePNG };
@@ -0,0 +1,87 @@
+// Pointer Events rather than mouse events, so touch screens and pens work too, and every finger (or
+// person) on the canvas stirs on its own rather than there only being the one mouse.
+//
+// Holding shift when a pointer goes down draws obstacles with it and alt rubs them out, see
+// onPaint.
+
+import { PALETTE } from './brush.js';
+
+class Pointers {
+    constructor(element) {
+        // pointerId => { previous, current, painting, colour, ended } for each pointer that's down,
+        // previous being where it was on the last step and current the latest event. painting is true
+        // for drawing obstacles, false for erasing and null when the pointer is adding forces. colour
+        // is the next one from PALETTE, for its dye. ended is set when it comes up, so the step after
+        // still gets the last of what it moved before it's dropped, see forEachStirring.
+        this.active = new Map();
+        this.presses = 0;
+        // called with (event, solid) as a painting pointer moves.
+        this.onPaint = null;
+
+        // no scrolling or zooming the page when dragging on a touch screen.
+        element.style.touchAction = 'none';
+
+        element.addEventListener('pointerdown', (e) => {
+            // keep getting its events if it wanders off the canvas while down.
+            element.setPointerCapture(e.pointerId);
+            const painting = e.shiftKey ? true : e.altKey ? false : null;
+            const colour = PALETTE[this.presses++ % PALETTE.length];
+            this.active.set(e.pointerId, { previous: e, current: e, painting, colour, ended: false });
+            this.paint(e, painting);
+        });
+        element.addEventListener('pointermove', (e) => {
+            const pointer = this.active.get(e.pointerId);
+            if (!pointer) {
+                // hovering.
+                return;
+            }
+            pointer.current = e;
+            this.paint(e, pointer.painting);
+        });
+        const up = (e) => {
+            const pointer = this.active.get(e.pointerId);
+            if (!pointer) {
+                return;
+            }
+            if (pointer.painting !== null) {
+                // painting happens as it moves, so there's nothing left to do.
+                this.active.delete(e.pointerId);
+                return;
+            }
+            // the last move stays current, a pen's up reports no pressure and a cancel's position
+            // isn't somewhere it moved to.
+            pointer.ended = true;
+        };
+        element.addEventListener('pointerup', up);
+        element.addEventListener('pointercancel', up);
+    }
+
+    paint(e, painting) {
+        if (painting !== null && this.onPaint) {
+            this.onPaint(e, painting);
+        }
+    }
+
+    forEachStirring(fn) {
+        // fn(current, previous, strength, colour) for each pointer adding forces, once a step.
+        // whatever it moved gets used up, so a pointer that's held still stays still, and one that's
+        // come up is gone once its last bit has been used.
+        this.active.forEach((pointer, id) => {
+            if (pointer.painting === null) {
+                fn(pointer.current, pointer.previous, strength(pointer.current), pointer.colour);
+                pointer.previous = pointer.current;
+            }
+            if (pointer.ended) {
+                this.active.delete(id);
+            }
+        });
+    }
+}
+
+function strength(e) {
+    // what to scale the density and force by. pens go by pressure, where the 0.5 a mouse or a
+    // finger reports is 1.
+    return e.pointerType === 'pen' ? e.pressure * 2 : 1;
+}
+
+export { Pointers, strength };
@@ -0,0 +1,90 @@
+// Solvers for the pressure poisson equation in project(), i.e. 4p - (neighbours of p) = div.
+//
+// The paper (and the first versions of both pages) just relax it 20 times whatever the grid size,
+// which leaves a lot of divergence behind at N=1024. Here the solver, a tolerance and an
+// iteration cap can be picked, and the residual that was reached is handed back so it can be shown.
+//
+// Not every backend has every solver:
+// * jacobi - gpu. Every cell reads the previous iteration, which is the only thing a shader can do.
+// * gaussSeidel - cpu. The in place sweep from the paper.
+// * redBlack - both. Gauss-seidel over a checkerboard, reds then blacks. Each half only reads the
+//   other colour, so it works in a shader and converges about twice as fast as jacobi.
+// * multigrid - gpu. Each iteration is one V-cycle, smoothing with red-black and correcting from
+//   coarser grids, so the low frequency error that relaxation barely touches goes away quickly.
+// * conjugateGradient - cpu. Preconditioned with a symmetric gauss-seidel sweep.
+// Backends list theirs in backend.pressureSolvers, the first being their default.
+//
+// On top of the backend contract in pipeline.js, this needs:
+// * solveLinear(x, x0, a, c, parity) - parity 0 or 1 only updates the cells where (i + j) % 2 == parity.
+// * residual(x, x0, a, c) - ||x0 + a * (neighbours of x) - c * x|| / ||x0|| over the non-boundary cells.
+// * vcycle(x, x0) for multigrid, conjugateGradient(x, x0, boundary, a, c, tolerance, maxIterations)
+//   for conjugateGradient.
+
+const PRESSURE_SOLVERS = {
+    Jacobi: 'jacobi',
+    GaussSeidel: 'gaussSeidel',
+    RedBlack: 'redBlack',
+    Multigrid: 'multigrid',
+    ConjugateGradient: 'conjugateGradient',
+};
+
+const DEFAULT_OPTIONS = {
+    solver: null,
+    // Relative residual to stop at. 0 always runs maxIterations, which is what the paper does.
+    tolerance: 0,
+    maxIterations: 20,
+    // Checking the residual costs about as much as an iteration on the cpu, and a round trip
+    // from the gpu, so only check it every so often.
+    checkEvery: 5,
+    // Work out the residual at the end even when there's no tolerance to check it against.
+    report: false,
+};
+
+function iterate(backend, solver, p, div) {
+    if (solver === PRESSURE_SOLVERS.Multigrid) {
+        backend.vcycle(p, div);
+        return;
+    }
+    if (solver === PRESSURE_SOLVERS.RedBlack) {
+        backend.solveLinear(p, div, 1, 4, 0);
+        backend.solveLinear(p, div, 1, 4, 1);
+    } else {
+        backend.solveLinear(p, div, 1, 4);
+    }
+    backend.setBoundary(p, 3);
+}
+
+function solvePressure(backend, p, div, options) {
+    const { tolerance, maxIterations, checkEvery, report, ...rest } = { ...DEFAULT_OPTIONS, ...options };
+    const solver = backend.pressureSolvers.includes(rest.solver) ? rest.solver : backend.pressureSolvers[0];
+
+    backend.clear(p);
+
+    if (solver === PRESSURE_SOLVERS.ConjugateGradient) {
+        const result = backend.conjugateGradient(p, div, 3, 1, 4, tolerance, maxIterations);
+        return { solver, ...result };
+    }
+
+    let residual = null;
+    let iterations = 0;
+    while (iterations < maxIterations) {
+        iterate(backend, solver, p, div);
+        iterations++;
+
+        residual = null;
+        if (tolerance > 0 && (iterations % checkEvery === 0 || iterations === maxIterations)) {
+            residual = backend.residual(p, div, 1, 4);
+            if (residual <= tolerance) {
+                break;
+            }
+        }
+    }
+
+    if (report && residual === null) {
+        residual = backend.residual(p, div, 1, 4);
+    }
+
+    return { solver, iterations, residual };
+}
+
+export { PRESSURE_SOLVERS, solvePressure };
@@ -0,0 +1,100 @@
+// Records what the pointer did on each step, so a session can be played back exactly, e.g. at a
+// higher N or with a different render.
+//
+// A recording is { events } where events are
+// { step, type: 'force', x, y, u, v, density, force, colour } - what went into addMouseDensityForces,
+//   in the same units as the samples in script.js so it doesn't depend on N or dt.
+// { step, type: 'paint', x, y, radius, solid } - obstacles drawn (or rubbed out with solid false),
+//   x, y and radius in [0, 1] of the grid.
+// step is the clock's step the event went in before, counting from the reset recording starts with.
+
+import { downloadBlob } from './download.js';
+
+class Recorder {
+    constructor() {
+        this.recording = false;
+        this.events = [];
+    }
+
+    start() {
+        this.events = [];
+        this.recording = true;
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    record(step, event) {
+        if (this.recording) {
+            this.events.push({ step, ...event });
+        }
+    }
+
+    toJSON() {
+        return { events: this.events };
+    }
+}
+
+class Replay {
+    constructor(recording) {
+        if (!Array.isArray(recording?.events)) {
+            throw new Error('Not a recording, expected { events: [...] }');
+        }
+        this.events = [...recording.events].sort((a, b) => a.step - b.step);
+        this.index = 0;
+    }
+
+    get done() {
+        return this.index >= this.events.length;
+    }
+
+    eventsAt(step) {
+        // steps only go up by one at a time, so this just carries on from where it got to.
+        const events = [];
+        while (!this.done && this.events[this.index].step <= step) {
+            if (this.events[this.index].step === step) {
+                events.push(this.events[this.index]);
+            }
+            this.index++;
+        }
+        return events;
+    }
+}
+
+async function loadRecording(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+function downloadJSON(name, data) {
+    // browser only, saves data as a file.
+    downloadBlob(name, new Blob([JSON.stringify(data)], { type: 'application/json' }));
+}
+
+function pickJSON() {
+    // browser only, asks for a JSON file and gives back what's in it, or null if the dialog was
+    // cancelled.
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.oncancel = () => resolve(null);
+        input.onchange = () => {
+            const [file] = input.files;
+            if (!file) {
+                resolve(null);
+                return;
+            }
+            file.text()
+                .then(text => resolve(JSON.parse(text)))
+                .catch(reject);
+        };
+        input.click();
+    });
+}
+
+export { Recorder, Replay, loadRecording, downloadJSON, pickJSON };
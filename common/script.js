@@ -0,0 +1,136 @@
+// Scripted pointer input for the MouseAuto mode, so there's something to watch (or compare between
+// runs) without anyone at the mouse.
+//
+// A timeline is { duration, loop, samples } where samples are
+// { time, x, y, u, v, density, force, colour }
+// time in seconds from the start, x, y in [0, 1] of the grid (i along x, j along y, like the
+// obstacles), u, v the pointer velocity in grid lengths per second. density, force and colour are
+// optional, the sourceDensity, mouseForce and brush settings otherwise. They go through the same
+// addMouseDensityForces as the mouse does.
+//
+// Timelines either come from a JSON file, or get made up from a seed, which gives the same strokes
+// every time.
+
+import { PALETTE } from './brush.js';
+
+// https://github.com/bryc/code/blob/master/jshash/PRNGs.md#mulberry32
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomTimeline(options = {}) {
+    const {
+        seed = 1,
+        // how many strokes, spread over duration seconds.
+        strokes = 12,
+        duration = 10,
+        // samples per second, like mousemove events.
+        rate = 60,
+        loop = true,
+    } = options;
+    const random = mulberry32(seed);
+    const samples = [];
+
+    for (let k = 0; k < strokes; k++) {
+        const start = (k + random()) * (duration / strokes);
+        const length = 0.5 + random();
+        let x = 0.1 + 0.8 * random();
+        let y = 0.1 + 0.8 * random();
+        let angle = random() * Math.PI * 2;
+        const speed = 0.2 + 0.4 * random();
+        // how quickly it curves, in radians per second.
+        const turn = (random() - 0.5) * 4;
+        const colour = PALETTE[k % PALETTE.length];
+
+        for (let t = 0; t < length && start + t < duration; t += 1 / rate) {
+            let u = Math.cos(angle) * speed;
+            let v = Math.sin(angle) * speed;
+            // bounce off the edges rather than leave the grid.
+            if (x + u / rate < 0.05 || x + u / rate > 0.95) {
+                u = -u;
+            }
+            if (y + v / rate < 0.05 || y + v / rate > 0.95) {
+                v = -v;
+            }
+            angle = Math.atan2(v, u) + turn / rate;
+            x += u / rate;
+            y += v / rate;
+            samples.push({ time: start + t, x, y, u, v, colour });
+        }
+    }
+
+    samples.sort((a, b) => a.time - b.time);
+    return { duration, loop, samples };
+}
+
+async function loadTimeline(script) {
+    // script is a url to a timeline, or the options for randomTimeline.
+    if (typeof script !== 'string') {
+        return randomTimeline(script);
+    }
+    const response = await fetch(script);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${script}: ${response.status}`);
+    }
+    const timeline = await response.json();
+    if (!Array.isArray(timeline.samples)) {
+        throw new Error(`${script} doesn't look like a timeline, expected { samples: [...] }`);
+    }
+    const { samples, loop = false } = timeline;
+    const duration = timeline.duration ?? samples.reduce((end, s) => Math.max(end, s.time), 0);
+    return { duration, loop, samples };
+}
+
+function samplesBetween(timeline, start, end) {
+    // the samples due in [start, end) of simulation time, wrapping around if the timeline loops.
+    const { duration, loop, samples } = timeline;
+    if (loop && duration > 0) {
+        const offset = Math.floor(start / duration) * duration;
+        start -= offset;
+        end -= offset;
+        if (end > duration) {
+            return [
+                ...samplesBetween({ ...timeline, loop: false }, start, duration),
+                ...samplesBetween({ ...timeline, loop: false }, 0, end - duration),
+            ];
+        }
+    }
+    return samples.filter(s => s.time >= start && s.time < end);
+}
+
+function addSample(backend, sample, dt, options) {
+    // the velocity gets turned into cells moved this step, which is what the mouse gives.
+    const { sourceDensity, mouseForce, brush } = options;
+    const { x, y, u, v, density = sourceDensity, force = mouseForce, colour = brush?.colour } = sample;
+    const n = backend.size - 2;
+    const cell = [Math.min(n, 1 + x * n), Math.min(n, 1 + y * n)];
+    backend.addMouseDensityForces(density, cell, u * n * dt, v * n * dt, force, { ...brush, colour });
+}
+
+function toSample(backend, cell, xVelocity, yVelocity, dt, density, force, colour) {
+    // the other way around, from what the mouse gives to a sample that doesn't depend on N or dt.
+    const n = backend.size - 2;
+    return {
+        x: (cell[0] - 1) / n,
+        y: (cell[1] - 1) / n,
+        u: xVelocity / (n * dt),
+        v: yVelocity / (n * dt),
+        density,
+        force,
+        colour,
+    };
+}
+
+function playTimeline(backend, timeline, time, dt, options) {
+    // adds the forces for the samples due in the step from time to time + dt.
+    samplesBetween(timeline, time, time + dt).forEach(sample => addSample(backend, sample, dt, options));
+}
+
+export { mulberry32, randomTimeline, loadTimeline, samplesBetween, addSample, toSample, playTimeline };
@@ -0,0 +1,173 @@
+// Settings that used to be constants at the top of index.js and the canvas page.
+//
+// They start out as the page's defaults, then get the preset for the mode on top (e.g. the fan wants
+// less source density than the mouse), then a JSON file if there's a ?config=settings.json, then the rest
+// of the query string, e.g. ?n=256&mode=mouse&pressure.solver=multigrid&edges.right=2.
+//
+// Once the page is running, settings.set({ ... }) changes them and tells whoever's listening with
+// onChange, which is where the page resizes the grid and so on.
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(target, source) {
+    // nested objects get merged rather than replaced, so { pressure: { tolerance: 0.01 } } keeps the
+    // rest of pressure. arrays get replaced.
+    const merged = { ...target };
+    Object.keys(source).forEach(key => {
+        merged[key] = isObject(merged[key]) && isObject(source[key]) ? merge(merged[key], source[key]) : source[key];
+    });
+    return merged;
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function lookup(values, path) {
+    return path.reduce((value, key) => (isObject(value) ? value[key] : undefined), values);
+}
+
+function nest(path, value) {
+    // ['pressure', 'solver'], 'multigrid' => { pressure: { solver: 'multigrid' } }
+    return path.reduceRight((inner, k) => ({ [k]: inner }), value);
+}
+
+function parseEnum(text, names, key) {
+    // e.g. 'mouse' for MODES.Mouse, or the number it stands for.
+    const expected = `expected one of ${Object.keys(names).join(', ')}`;
+    if (text.trim() !== '' && !isNaN(Number(text))) {
+        if (!Object.values(names).includes(Number(text))) {
+            throw new Error(`Unknown ${key} ${text}, ${expected}`);
+        }
+        return Number(text);
+    }
+    const name = Object.keys(names).find(k => k.toLowerCase() === text.toLowerCase());
+    if (name === undefined) {
+        throw new Error(`Unknown ${key} ${text}, ${expected}`);
+    }
+    return names[name];
+}
+
+function parseValue(text, example, key) {
+    // query values are all strings, so take the type from the default. anything that looks like
+    // JSON is JSON though, e.g. edges.left={"type":3,"u":1} where the default is a number.
+    if (isObject(example) || Array.isArray(example) || /^[[{]/.test(text)) {
+        return JSON.parse(text);
+    }
+    if (typeof example === 'number') {
+        const value = Number(text);
+        if (isNaN(value)) {
+            throw new Error(`Expected a number for ${key}, got ${text}`);
+        }
+        return value;
+    }
+    if (typeof example === 'boolean') {
+        return text === 'true' || text === '1';
+    }
+    return text;
+}
+
+function withEnums(values, enums) {
+    // lets a JSON file say "mode": "mouse" too.
+    let resolved = values;
+    Object.keys(enums).forEach(key => {
+        const path = key.split('.');
+        const value = lookup(values, path);
+        if (typeof value === 'string') {
+            resolved = merge(resolved, nest(path, parseEnum(value, enums[key], key)));
+        }
+    });
+    return resolved;
+}
+
+function parseQuery(search, defaults, enums = {}) {
+    let overrides = {};
+    new URLSearchParams(search).forEach((text, key) => {
+        if (key === 'config') {
+            return;
+        }
+        const path = key.split('.');
+        const example = lookup(defaults, path);
+        // a new key inside an object is fine, e.g. an edge that isn't in the defaults.
+        const known = example !== undefined || (path.length > 1 && isObject(lookup(defaults, path.slice(0, -1))));
+        if (!known) {
+            console.warn(`Ignoring unknown setting ${key}`);
+            return;
+        }
+        const value = enums[key] ? parseEnum(text, enums[key], key) : parseValue(text, example, key);
+        overrides = merge(overrides, nest(path, value));
+    });
+    return overrides;
+}
+
+class Settings {
+    constructor(values) {
+        this.values = values;
+        this.listeners = [];
+    }
+
+    set(changes) {
+        // only what actually changed gets passed on.
+        const changed = {};
+        Object.keys(changes).forEach(key => {
+            const value = isObject(this.values[key]) && isObject(changes[key])
+                ? merge(this.values[key], changes[key])
+                : changes[key];
+            if (!same(this.values[key], value)) {
+                changed[key] = value;
+            }
+        });
+        if (Object.keys(changed).length === 0) {
+            return changed;
+        }
+        this.values = { ...this.values, ...changed };
+        this.listeners.forEach(fn => fn(changed, this.values));
+        return changed;
+    }
+
+    get(key) {
+        // key can be nested, e.g. 'pressure.solver'.
+        return lookup(this.values, key.split('.'));
+    }
+
+    setValue(key, value) {
+        return this.set(nest(key.split('.'), value));
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    toJSON() {
+        // what a ?config= file would need to get back to the same place.
+        return this.values;
+    }
+}
+
+async function loadSettings(defaults, options = {}) {
+    const {
+        // per mode overrides of the defaults.
+        presets = {},
+        // settings that can be given by name, e.g. { mode: MODES }.
+        enums = {},
+        search = typeof location === 'undefined' ? '' : location.search,
+    } = options;
+
+    let file = {};
+    const config = new URLSearchParams(search).get('config');
+    if (config) {
+        const response = await fetch(config);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${config}: ${response.status}`);
+        }
+        file = withEnums(await response.json(), enums);
+    }
+
+    const overrides = merge(file, parseQuery(search, defaults, enums));
+    const mode = overrides.mode ?? defaults.mode;
+    return new Settings(merge(merge(defaults, presets[mode] ?? {}), overrides));
+}
+
+export { Settings, loadSettings, parseQuery };
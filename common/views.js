@@ -0,0 +1,140 @@
+// What the renders draw. Either the dye, or one of the fields as a number per cell, put through a
+// colour map.
+//
+// A colour map is a list of stops, [position, colour] with position in [0, 1]. Colours are '#rgb' or
+// '#rrggbb', or [r, g, b] in [0, 1]. Custom ones can leave out the positions to spread the colours
+// evenly, e.g. ['#000', '#f40', '#ff8'].
+//
+// The value at the top of the map is the range. Signed fields (vorticity, pressure, divergence,
+// temperature) have 0 in the middle of the map and -range at the bottom.
+//
+// gl.js has the same in glsl, the cpu renders use cellColour.
+
+const VIEWS = {
+    Dye: 0,
+    Density: 1,
+    // how fast it's going, the length of the velocity.
+    Speed: 2,
+    // the curl of the velocity, positive going anticlockwise with j up.
+    Vorticity: 3,
+    Pressure: 4,
+    // left over from the last projection, should be close to 0 everywhere.
+    Divergence: 5,
+    // above the ambient, see buoyancy.js. Signed, since it can be colder too.
+    Temperature: 6,
+};
+
+const COLOUR_MAPS = {
+    Greyscale: 0,
+    Viridis: 1,
+    Inferno: 2,
+    // from the colourStops setting.
+    Custom: 3,
+};
+
+// the most stops a colour map can have, the render shader has room for this many.
+const MAX_STOPS = 16;
+
+// sampled from matplotlib's.
+const BUILT_IN = {
+    [COLOUR_MAPS.Greyscale]: ['#000000', '#ffffff'],
+    [COLOUR_MAPS.Viridis]: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+    [COLOUR_MAPS.Inferno]: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f8c932', '#fcffa4'],
+};
+
+function isSigned(view) {
+    return view === VIEWS.Vorticity || view === VIEWS.Pressure || view === VIEWS.Divergence || view === VIEWS.Temperature;
+}
+
+function parseColour(colour) {
+    if (Array.isArray(colour)) {
+        return colour;
+    }
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(colour)?.[1];
+    if (!hex) {
+        throw new Error(`Can't read colour ${colour}, expected e.g. #ff8800 or [1, 0.5, 0]`);
+    }
+    const digits = hex.length === 3 ? [...hex].map(d => d + d) : hex.match(/../g);
+    return digits.map(d => parseInt(d, 16) / 255);
+}
+
+function colourStops(map, custom = []) {
+    // [[position, [r, g, b]], ...] for the map, in order.
+    const stops = map === COLOUR_MAPS.Custom ? custom : BUILT_IN[map];
+    if (!stops) {
+        throw new Error(`Unknown colour map ${map}`);
+    }
+    if (stops.length === 0 || stops.length > MAX_STOPS) {
+        throw new Error(`A colour map needs 1 to ${MAX_STOPS} stops, got ${stops.length}`);
+    }
+    // an [r, g, b] colour is an array too, but without a colour in it.
+    const positioned = stops.every(stop => Array.isArray(stop) && stop.length === 2);
+    return stops
+        .map((stop, k) => (positioned
+            ? [stop[0], parseColour(stop[1])]
+            : [stops.length > 1 ? k / (stops.length - 1) : 0, parseColour(stop)]))
+        .sort((a, b) => a[0] - b[0]);
+}
+
+function colourAt(stops, t) {
+    // [r, g, b] at t in [0, 1] along the map, in between stops blended.
+    let colour = stops[0][1];
+    for (let k = 1; k < stops.length; k++) {
+        const [a, from] = stops[k - 1];
+        const [b, to] = stops[k];
+        if (t >= a) {
+            const s = b > a ? Math.min(Math.max((t - a) / (b - a), 0), 1) : 1;
+            colour = from.map((c, l) => c + (to[l] - c) * s);
+        }
+    }
+    return colour;
+}
+
+function cellValue(solver, view, i, j) {
+    // the field the view shows at cell i, j of a cpu solver.
+    const index = solver.IX(i, j);
+    const { x, u, v, p, div, t } = solver.fields;
+    switch (view) {
+    case VIEWS.Density:
+        return x[index];
+    case VIEWS.Speed:
+        return Math.hypot(u[index], v[index]);
+    case VIEWS.Vorticity:
+        return i < 1 || j < 1 || i > solver.n || j > solver.n ? 0 : solver.curl(i, j);
+    case VIEWS.Pressure:
+        return p[index];
+    case VIEWS.Divergence:
+        return div[index];
+    case VIEWS.Temperature:
+        return t[index];
+    default:
+        return 0;
+    }
+}
+
+function viewRange(solver, view) {
+    // the largest the view's field gets (either way for signed ones) in the non-boundary cells, for
+    // a range of 0. 1 if there's nothing there.
+    let range = 0;
+    for (let j = 1; j <= solver.n; j++) {
+        for (let i = 1; i <= solver.n; i++) {
+            range = Math.max(range, Math.abs(cellValue(solver, view, i, j)));
+        }
+    }
+    return range > 0 ? range : 1;
+}
+
+function cellColour(solver, view, stops, range, i, j) {
+    // [r, g, b] in [0, 1] to draw cell i, j of a cpu solver in.
+    if (view === VIEWS.Dye) {
+        // brighter the more of it there is, without the colours clipping to white where it's thick.
+        const { r, g, b } = solver.fields;
+        const index = solver.IX(i, j);
+        return [r[index], g[index], b[index]].map(c => 1 - Math.exp(-Math.max(c, 0)));
+    }
+    const value = cellValue(solver, view, i, j) / range;
+    const t = isSigned(view) ? 0.5 + 0.5 * value : value;
+    return colourAt(stops, Math.min(Math.max(t, 0), 1));
+}
+
+export { VIEWS, COLOUR_MAPS, MAX_STOPS, isSigned, colourStops, colourAt, cellValue, viewRange, cellColour };
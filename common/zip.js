@@ -0,0 +1,72 @@
+// A zip of files stored as they are, for downloading a PNG sequence in one go, see capture.js. PNGs are
+// already compressed, so there's nothing to gain from deflating them again.
+
+import { crc32 } from './png.js';
+
+// 1980-01-01 00:00, the earliest a zip can say. Every entry gets it so the same frames always make the
+// same zip.
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+function zipFiles(files) {
+    // files is [{ name, data }] with data a Uint8Array. returns the zip as a Uint8Array.
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        // version needed, flags and method (0, stored).
+        lv.setUint16(4, 10, true);
+        lv.setUint16(10, DOS_TIME, true);
+        lv.setUint16(12, DOS_DATE, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        // version made by and version needed.
+        cv.setUint16(4, 10, true);
+        cv.setUint16(6, 10, true);
+        cv.setUint16(12, DOS_TIME, true);
+        cv.setUint16(14, DOS_DATE, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, nameBytes.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    });
+
+    const size = centrals.reduce((total, central) => total + central.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, size, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, end];
+    const out = new Uint8Array(offset + size + end.length);
+    parts.reduce((o, part) => {
+        out.set(part, o);
+        return o + part.length;
+    }, 0);
+    return out;
+}
+
+export { zipFiles };
@@ -0,0 +1,29 @@
+// The corrected advection schemes on the cpu solver, see common/advection.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { ADVECTION_SCHEMES } from '../common/advection.js';
+import { PRESSURE_SOLVERS } from '../common/pressure.js';
+
+const converged = { solver: PRESSURE_SOLVERS.ConjugateGradient, tolerance: 1e-6, maxIterations: 200 };
+
+// the plain backtrace isn't conservative either, but it's the corrections that used to add the most.
+[ADVECTION_SCHEMES.MacCormack, ADVECTION_SCHEMES.BFECC].forEach((advection) => {
+    test(`${advection} never ends up with more density or dye than was put in`, () => {
+        // a puff pushed up into the top wall and left to swirl about, with nothing taking any away.
+        const solver = new FluidSolver({ size: 64, decay: { model: 'none' }, advection, pressure: converged });
+        const injected = 20 * 20;
+        for (let k = 0; k < 60; k++) {
+            if (k < 20) {
+                solver.addDensity(32, 50, 20);
+                solver.addVelocity(32, 50, 3 * Math.sin(k), -30);
+            }
+            solver.step(1 / 60);
+        }
+        const [density] = solver.total('x');
+        assert.ok(density > 0);
+        assert.ok(density <= injected, `${density} of ${injected}`);
+        solver.total('dye').forEach(total => assert.ok(total <= injected, `${total} of ${injected}`));
+    });
+});
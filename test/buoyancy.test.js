@@ -0,0 +1,44 @@
+// Heat rising and density sinking on the cpu solver, see common/buoyancy.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { upward, coolBy } from '../common/buoyancy.js';
+
+function afterAStep(buoyancy, fill) {
+    // a hot (or heavy) spot in the middle of still air, one step on. gives the velocity there along up.
+    const solver = new FluidSolver({ size: 32, buoyancy });
+    fill(solver, solver.IX(16, 16));
+    solver.step(1 / 60);
+    const [ux, uy] = upward(solver.buoyancy.gravity);
+    const index = solver.IX(16, 16);
+    return solver.fields.u[index] * ux + solver.fields.v[index] * uy;
+}
+
+test('a hot cell starts rising, whichever way up is', () => {
+    [90, -90, 0].forEach((gravity) => {
+        const rise = afterAStep({ lift: 5, gravity }, (solver, index) => solver.fields.t[index] = 10);
+        assert.ok(rise > 0, `${rise} with gravity ${gravity}`);
+    });
+});
+
+test('a heavy cell starts sinking', () => {
+    const rise = afterAStep({ lift: 5, weight: 2 }, (solver, index) => solver.fields.x[index] = 10);
+    assert.ok(rise < 0);
+});
+
+test('with no lift the heat does nothing', () => {
+    const rise = afterAStep({ lift: 0 }, (solver, index) => solver.fields.t[index] = 10);
+    assert.ok(rise === 0);
+});
+
+test('the heat cools with its half-life', () => {
+    assert.equal(coolBy({ cooling: 0.5 }, 0.5), 0.5);
+    assert.equal(coolBy({ cooling: 0 }, 0.5), 1);
+    const solver = new FluidSolver({ size: 16, buoyancy: { lift: 1, cooling: 0.5 } });
+    solver.fields.t.fill(8);
+    for (let k = 0; k < 30; k++) {
+        solver.step(1 / 60);
+    }
+    assert.ok(Math.abs(solver.fields.t[solver.IX(8, 8)] - 4) < 1e-3);
+});
@@ -0,0 +1,74 @@
+// Fixed steps from the time that went by, with the cfl step, see common/clock.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { Clock, cflStep } from '../common/clock.js';
+
+function spin(solver, speed) {
+    // turning around the middle, speed grid lengths per second at the edges.
+    const { size, n } = solver;
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            solver.fields.u[solver.IX(i, j)] = -(j - size / 2) / n * speed * 2;
+            solver.fields.v[solver.IX(i, j)] = (i - size / 2) / n * speed * 2;
+        }
+    }
+}
+
+test('a long frame gets split into steps the cfl limit allows, with the rest carried over', () => {
+    const solver = new FluidSolver({ size: 32 });
+    spin(solver, 2);
+    const clock = new Clock({ maxSubsteps: 20 });
+    const cfl = 1;
+    const timestep = () => cflStep(solver, 1 / 30, cfl);
+
+    clock.frame(0);
+    clock.frame(100);
+    // the same loop as the pages.
+    const steps = [];
+    let dt = timestep();
+    while (clock.ready(dt)) {
+        // nothing moves more than cfl cells in this one.
+        assert.ok(dt * solver.maxSpeed('uv') * solver.n <= cfl + 1e-9);
+        solver.step(dt);
+        clock.tick(dt);
+        steps.push(dt);
+        dt = timestep();
+    }
+    assert.ok(steps.length > 3, `${steps.length} steps`);
+    assert.ok(steps.every(step => step < 1 / 30));
+    // what's left is less than the next step would need, and stays for the next frame.
+    assert.ok(clock.accumulator >= 0 && clock.accumulator < dt);
+    assert.ok(Math.abs(clock.time + clock.accumulator - 0.1) < 1e-9);
+    const left = clock.accumulator;
+    clock.frame(110);
+    assert.ok(Math.abs(clock.accumulator - (left + 0.01)) < 1e-9);
+});
+
+test('past maxSubsteps the rest of the frame is dropped', () => {
+    const clock = new Clock({ maxSubsteps: 4 });
+    clock.frame(0);
+    clock.frame(1000);
+    let steps = 0;
+    while (clock.ready(0.01)) {
+        clock.tick(0.01);
+        steps++;
+    }
+    assert.equal(steps, 4);
+    assert.equal(clock.accumulator, 0);
+});
+
+test('paused, it only takes the steps it was asked for', () => {
+    const clock = new Clock();
+    clock.advance(2);
+    clock.frame(0);
+    clock.frame(1000);
+    let steps = 0;
+    while (clock.ready(0.01)) {
+        clock.tick(0.01);
+        steps++;
+    }
+    assert.equal(steps, 2);
+    assert.equal(clock.steps, 2);
+});
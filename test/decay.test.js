@@ -0,0 +1,56 @@
+// Density fading by simulation time, and the ledger of where it went, see common/decay.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { DECAY_MODELS, DensityLedger, fadeBy } from '../common/decay.js';
+import { EMITTER_TYPES, activeEmitters } from '../common/emitters.js';
+
+function still(decay, fill) {
+    // nothing moving, so only the decay changes anything.
+    const solver = new FluidSolver({ size: 16, decay });
+    solver.fields.x.fill(fill);
+    return solver;
+}
+
+function run(solver, seconds, dt) {
+    for (let k = 0; k < Math.round(seconds / dt); k++) {
+        solver.step(dt);
+    }
+    return solver;
+}
+
+test('exponential decay halves it every half-life, whatever the step', () => {
+    const decay = { model: DECAY_MODELS.Exponential, halfLife: 0.5 };
+    [1 / 60, 1 / 30, 1 / 10].forEach((dt) => {
+        const solver = run(still(decay, 8), 1, dt);
+        assert.ok(Math.abs(solver.totalDensity() - 2 * 16 * 16) < 1e-3, `${solver.totalDensity()} with ${dt}`);
+    });
+});
+
+test('linear decay takes rate off every second, down to 0', () => {
+    const decay = { model: DECAY_MODELS.Linear, rate: 2 };
+    const solver = run(still(decay, 5), 1, 1 / 60);
+    assert.ok(Math.abs(solver.fields.x[solver.IX(8, 8)] - 3) < 1e-4);
+    run(solver, 2, 1 / 60);
+    assert.ok(solver.fields.x.every(value => value === 0));
+    // a plain number is a linear rate too.
+    assert.deepEqual(fadeBy(2, 0.5), [1, 1]);
+});
+
+test('the ledger adds up to what is left', () => {
+    // a puff going in and being blown about while it fades.
+    const decay = { model: DECAY_MODELS.Exponential, halfLife: 1, report: true };
+    const solver = new FluidSolver({ size: 32, decay });
+    const emitter = { type: EMITTER_TYPES.Point, x: 0.3, y: 0.5, radius: 0.05, density: 2, velocity: 1 };
+    const ledger = new DensityLedger();
+    const dt = 1 / 60;
+    for (let k = 0; k < 90; k++) {
+        solver.addEmitters(activeEmitters([emitter], k * dt));
+        ledger.record(solver.step(dt).density);
+        assert.ok(Math.abs(ledger.remaining - solver.totalDensity()) < 1e-6);
+    }
+    assert.ok(ledger.injected > 0 && ledger.faded > 0);
+    const accounted = ledger.injected - ledger.faded - ledger.lost;
+    assert.ok(Math.abs(accounted - solver.totalDensity()) < 1e-3 * ledger.injected, `${accounted} vs ${solver.totalDensity()}`);
+});
@@ -0,0 +1,53 @@
+// The edges of the grid on the cpu solver, see common/edges.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { EDGES, normalizeEdges } from '../common/edges.js';
+
+function columnDensity(solver, i) {
+    let sum = 0;
+    for (let j = 1; j <= solver.n; j++) {
+        sum += solver.fields.x[solver.IX(i, j)];
+    }
+    return sum;
+}
+
+test('density going out of a periodic edge comes back in on the other side', () => {
+    // a steady wind to the right, with a band of density against the right edge.
+    const solver = new FluidSolver({ size: 32, edges: { left: EDGES.Periodic, right: EDGES.Periodic } });
+    solver.fields.u.fill(1);
+    for (let j = 8; j <= 24; j++) {
+        solver.addDensity(31, j, 10);
+        solver.addDensity(32, j, 10);
+    }
+    const before = solver.totalDensity();
+    for (let k = 0; k < 8; k++) {
+        solver.step(1 / 60);
+    }
+    // about four cells on, so past the edge and into the first few columns.
+    const wrapped = [1, 2, 3, 4].reduce((sum, i) => sum + columnDensity(solver, i), 0);
+    assert.ok(wrapped > before / 2, `${wrapped} of ${before}`);
+    assert.ok(Math.abs(solver.totalDensity() - before) / before < 0.05);
+});
+
+test('an inflow edge holds the velocity it was given', () => {
+    const solver = new FluidSolver({
+        size: 32,
+        edges: { left: { type: EDGES.Inflow, u: 1, v: 0.25 }, right: EDGES.Open },
+    });
+    for (let k = 0; k < 20; k++) {
+        solver.step(1 / 60);
+    }
+    for (let j = 1; j <= solver.n; j++) {
+        assert.equal(solver.fields.u[solver.IX(0, j)], 1);
+        assert.equal(solver.fields.v[solver.IX(0, j)], 0.25);
+    }
+    // and it gets blown in from there.
+    assert.ok(solver.fields.u[solver.IX(8, 16)] > 0.5);
+});
+
+test('periodic edges come in pairs', () => {
+    assert.throws(() => normalizeEdges({ left: EDGES.Periodic }));
+    assert.deepEqual(normalizeEdges({ top: { type: EDGES.Inflow, v: -1 } }).top, { type: EDGES.Inflow, u: 0, v: -1 });
+});
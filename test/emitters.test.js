@@ -0,0 +1,111 @@
+// Emitters on the cpu solver, see common/emitters.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { EMITTER_TYPES, PROFILES, activeEmitters } from '../common/emitters.js';
+
+function emit(emitter, time = 0) {
+    // a step's worth of emitter on an empty 20 x 20 grid.
+    const solver = new FluidSolver({ size: 20 });
+    solver.addEmitters(activeEmitters([emitter], time));
+    return solver;
+}
+
+function denseCells(solver) {
+    // 'i,j' of every cell that got some density.
+    const cells = [];
+    for (let j = 0; j < solver.size; j++) {
+        for (let i = 0; i < solver.size; i++) {
+            if (solver.fields.x[solver.IX(i, j)] > 0) {
+                cells.push(`${i},${j}`);
+            }
+        }
+    }
+    return cells;
+}
+
+function rectangle(i0, i1, j0, j1) {
+    const cells = [];
+    for (let j = j0; j <= j1; j++) {
+        for (let i = i0; i <= i1; i++) {
+            cells.push(`${i},${j}`);
+        }
+    }
+    return cells;
+}
+
+test('a point fills the cells within its radius', () => {
+    // centred on the corner between cells 10 and 11, two cells across each way.
+    const solver = emit({ type: EMITTER_TYPES.Point, x: 0.5, y: 0.5, radius: 0.1, density: 1 });
+    const expected = [];
+    for (let j = 1; j <= 20; j++) {
+        for (let i = 1; i <= 20; i++) {
+            if (Math.hypot(i - 0.5 - 10, j - 0.5 - 10) <= 2) {
+                expected.push(`${i},${j}`);
+            }
+        }
+    }
+    assert.deepEqual(denseCells(solver), expected);
+    assert.equal(solver.fields.x[solver.IX(10, 10)], 1);
+});
+
+test('a line fills the cells along it', () => {
+    // across the middle from a quarter of the way to three quarters, on the line between rows 10 and 11.
+    const solver = emit({ type: EMITTER_TYPES.Line, x0: 0.25, y0: 0.5, x1: 0.75, y1: 0.5, density: 1 });
+    const cells = denseCells(solver);
+    assert.ok(cells.includes('6,10') && cells.includes('15,11'));
+    cells.forEach((cell) => {
+        const [i, j] = cell.split(',').map(Number);
+        assert.ok(i >= 5 && i <= 16 && (j === 10 || j === 11), cell);
+    });
+});
+
+test('an area fills the cells inside it', () => {
+    const solver = emit({ type: EMITTER_TYPES.Area, x: 0.2, y: 0.3, width: 0.4, height: 0.2, density: 1 });
+    assert.deepEqual(denseCells(solver), rectangle(5, 12, 7, 10));
+});
+
+test('the velocity goes the way it points, and the profile falls off towards the ends', () => {
+    const solver = emit({
+        type: EMITTER_TYPES.Line,
+        x0: 0.25,
+        y0: 0.5,
+        x1: 0.75,
+        y1: 0.5,
+        direction: 90,
+        velocity: 2,
+        density: 1,
+        profile: PROFILES.Triangle,
+    });
+    const middle = solver.IX(10, 10);
+    assert.ok(Math.abs(solver.fields.u[middle]) < 1e-6);
+    assert.ok(solver.fields.v[middle] > 1.5);
+    assert.ok(solver.fields.x[middle] > solver.fields.x[solver.IX(6, 10)]);
+});
+
+test('a schedule turns it on and off by simulation time', () => {
+    // on from 1 until 5, for the first half second of every two.
+    const emitter = {
+        type: EMITTER_TYPES.Point,
+        x: 0.5,
+        y: 0.5,
+        density: 1,
+        schedule: { start: 1, end: 5, period: 2, on: 0.5 },
+    };
+    const on = [];
+    for (let time = 0; time < 6; time += 0.25) {
+        const solver = emit(emitter, time);
+        if (solver.fields.x[solver.IX(10, 10)] > 0) {
+            on.push(time);
+        }
+    }
+    assert.deepEqual(on, [1, 1.25, 3, 3.25]);
+});
+
+test('strength scales what goes in', () => {
+    const emitter = { type: EMITTER_TYPES.Point, x: 0.5, y: 0.5, density: 2, velocity: 1 };
+    const [scaled] = activeEmitters([emitter], 0, 0.5);
+    assert.equal(scaled.density, 1);
+    assert.equal(scaled.velocity, 0.5);
+});
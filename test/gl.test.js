@@ -0,0 +1,22 @@
+// What the gpu backend says when it can't run, so the page can fall back to the cpu. See 2d-webgl/gl.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GL } from '../2d-webgl/gl.js';
+
+function withCanvas(t, context) {
+    // a page with just the canvas on it, getContext giving back context.
+    const canvas = { getContext: () => context };
+    globalThis.document = { getElementById: () => canvas };
+    t.after(() => delete globalThis.document);
+}
+
+test('no webgl2', (t) => {
+    withCanvas(t, null);
+    assert.throws(() => new GL(34), { message: 'WebGL2 is not available' });
+});
+
+test('no float render targets', (t) => {
+    withCanvas(t, { getExtension: () => null });
+    assert.throws(() => new GL(34), /EXT_color_buffer_float/);
+});
@@ -0,0 +1,102 @@
+// Flow past a solid block on the cpu solver, with each kind of wall, see common/obstacles.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { WALLS, Obstacles } from '../common/obstacles.js';
+import { EDGES } from '../common/edges.js';
+
+function windTunnel(wall) {
+    // coming in on the left at a slant, out on the right, around a block in the middle.
+    const solver = new FluidSolver({
+        size: 32,
+        edges: { left: { type: EDGES.Inflow, u: 1, v: 0.3 }, right: EDGES.Open },
+    });
+    const obstacles = new Obstacles(solver.size);
+    obstacles.addRect(0.4, 0.4, 0.22, 0.22);
+    solver.setObstacles(obstacles.mask, wall);
+    for (let k = 0; k < 20; k++) {
+        solver.step(1 / 60);
+    }
+    return solver;
+}
+
+function walls(solver) {
+    // each solid cell with just the one fluid cell next to it (so not the corners), with the velocity
+    // half way between them, split into the part going into the wall and the part going along it.
+    const { u, v } = solver.fields;
+    const faces = [];
+    const neighbours = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+    for (let j = 1; j <= solver.n; j++) {
+        for (let i = 1; i <= solver.n; i++) {
+            const index = solver.IX(i, j);
+            if (!solver.isSolid(index)) {
+                continue;
+            }
+            const fluid = neighbours.filter(([di, dj]) => !solver.isSolid(solver.IX(i + di, j + dj)));
+            if (fluid.length !== 1) {
+                continue;
+            }
+            const [[di, dj]] = fluid;
+            const other = solver.IX(i + di, j + dj);
+            const wallU = (u[index] + u[other]) / 2;
+            const wallV = (v[index] + v[other]) / 2;
+            faces.push(di !== 0 ? { normal: wallU, along: wallV } : { normal: wallV, along: wallU });
+        }
+    }
+    return faces;
+}
+
+function insideSpeeds(solver) {
+    // the speed in every solid cell with only solid cells around it.
+    const speeds = [];
+    for (let j = 1; j <= solver.n; j++) {
+        for (let i = 1; i <= solver.n; i++) {
+            const around = [solver.IX(i - 1, j), solver.IX(i + 1, j), solver.IX(i, j - 1), solver.IX(i, j + 1)];
+            if (solver.isSolid(solver.IX(i, j)) && around.every(index => solver.isSolid(index))) {
+                speeds.push(Math.hypot(solver.fields.u[solver.IX(i, j)], solver.fields.v[solver.IX(i, j)]));
+            }
+        }
+    }
+    return speeds;
+}
+
+test('no-slip stops the fluid at the wall and leaves nothing moving inside', () => {
+    const solver = windTunnel(WALLS.NoSlip);
+    const faces = walls(solver);
+    assert.ok(faces.length > 0);
+    faces.forEach(({ normal, along }) => {
+        assert.ok(Math.abs(normal) < 1e-6);
+        assert.ok(Math.abs(along) < 1e-6);
+    });
+    const inside = insideSpeeds(solver);
+    assert.ok(inside.length > 0);
+    inside.forEach(speed => assert.equal(speed, 0));
+});
+
+test('free-slip lets the fluid slide along the wall but not through it', () => {
+    const solver = windTunnel(WALLS.FreeSlip);
+    const faces = walls(solver);
+    faces.forEach(({ normal }) => assert.ok(Math.abs(normal) < 1e-6));
+    assert.ok(faces.some(({ along }) => Math.abs(along) > 0.1));
+    insideSpeeds(solver).forEach(speed => assert.equal(speed, 0));
+});
+
+test('dark opaque pixels of an image are solid', () => {
+    // 2 x 2, black in the first pixel, white, transparent black and white in the rest.
+    const image = {
+        width: 2,
+        height: 2,
+        data: new Uint8Array([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 0, 255, 255, 255, 255]),
+    };
+    const obstacles = new Obstacles(6);
+    obstacles.addImage(image);
+    const solid = (i, j) => obstacles.mask[i + j * 6] === 1;
+    assert.ok(solid(1, 1) && solid(2, 2));
+    assert.ok(!solid(3, 1) && !solid(1, 3) && !solid(3, 3));
+
+    // rows bottom to top, for gl.
+    const flipped = new Obstacles(6);
+    flipped.addImage(image, true);
+    assert.ok(flipped.mask[1 + 4 * 6] === 1 && flipped.mask[1 + 1 * 6] === 0);
+});
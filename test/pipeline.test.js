@@ -0,0 +1,104 @@
+// The pipeline run headlessly on the cpu solver, see common/pipeline.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { velocityStep } from '../common/pipeline.js';
+import { resetFields } from '../common/initial.js';
+import { PRESSURE_SOLVERS, solvePressure } from '../common/pressure.js';
+
+function random(seed) {
+    // the same numbers every run, in [-0.5, 0.5).
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647 - 0.5;
+}
+
+function swirl(solver, speed) {
+    // turning around the middle, speed grid lengths per second at the edge.
+    const { size, n } = solver;
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            const x = (i - size / 2) / n;
+            const y = (j - size / 2) / n;
+            solver.fields.u[solver.IX(i, j)] = -y * speed * 2;
+            solver.fields.v[solver.IX(i, j)] = x * speed * 2;
+        }
+    }
+}
+
+function largestDivergence(solver) {
+    solver.divergence(solver.n, 'div', 'uv');
+    let largest = 0;
+    for (let j = 1; j <= solver.n; j++) {
+        for (let i = 1; i <= solver.n; i++) {
+            largest = Math.max(largest, Math.abs(solver.fields.div[solver.IX(i, j)]));
+        }
+    }
+    return largest;
+}
+
+const converged = { solver: PRESSURE_SOLVERS.ConjugateGradient, tolerance: 1e-6, maxIterations: 200 };
+
+test('density stays put when nothing moves it', () => {
+    const solver = new FluidSolver({ size: 32, diffusion: 0.0001, decay: { model: 'none' } });
+    resetFields(solver, [{ type: 'circle', x: 0.4, y: 0.6, radius: 0.1, density: 10 }]);
+    const before = solver.totalDensity();
+    for (let k = 0; k < 30; k++) {
+        solver.step(1 / 60);
+    }
+    assert.ok(before > 0);
+    assert.ok(Math.abs(solver.totalDensity() - before) / before < 1e-4);
+});
+
+test('advecting density without decay never adds to it', () => {
+    const solver = new FluidSolver({ size: 32, decay: { model: 'none' }, pressure: converged });
+    resetFields(solver, [{ type: 'circle', x: 0.65, y: 0.5, radius: 0.08, density: 10 }]);
+    swirl(solver, 1);
+    const before = solver.totalDensity();
+    for (let k = 0; k < 60; k++) {
+        solver.step(1 / 60);
+        assert.ok(solver.totalDensity() <= before * (1 + 1e-6));
+    }
+    // the plain backtrace smooths some away at the edges, but not much of it.
+    assert.ok(solver.totalDensity() > before * 0.85);
+});
+
+test('the velocity has next to no divergence left after a step', () => {
+    // smooth, since the paper's central differences can't see (or take out) a checkerboard.
+    const solver = new FluidSolver({ size: 32, pressure: converged });
+    for (let j = 0; j < solver.size; j++) {
+        for (let i = 0; i < solver.size; i++) {
+            const x = (i - 0.5) / solver.n;
+            const y = (j - 0.5) / solver.n;
+            solver.fields.u[solver.IX(i, j)] = Math.sin(Math.PI * x) * Math.cos(2 * Math.PI * y);
+            solver.fields.v[solver.IX(i, j)] = Math.sin(Math.PI * x) * Math.sin(Math.PI * y);
+        }
+    }
+    solver.setBoundary('uv', 1);
+    const before = largestDivergence(solver);
+    velocityStep(solver, 1 / 60, solver);
+    assert.ok(largestDivergence(solver) < before / 50);
+});
+
+test('every cpu pressure solver brings the residual down', () => {
+    const solver = new FluidSolver({ size: 32 });
+    solver.pressureSolvers.forEach((name) => {
+        const next = random(3);
+        solver.fields.div.forEach((_, k) => solver.fields.div[k] = next());
+        solver.setBoundary('div', 0);
+        const one = solvePressure(solver, 'p', 'div', { solver: name, maxIterations: 1, report: true });
+        const many = solvePressure(solver, 'p', 'div', { solver: name, maxIterations: 100, report: true });
+        assert.equal(many.solver, name);
+        assert.ok(many.residual < one.residual / 5, `${name} went from ${one.residual} to ${many.residual}`);
+    });
+});
+
+test('a tolerance stops the solve early', () => {
+    const solver = new FluidSolver({ size: 32 });
+    const next = random(5);
+    solver.fields.div.forEach((_, k) => solver.fields.div[k] = next());
+    solver.setBoundary('div', 0);
+    const stats = solvePressure(solver, 'p', 'div', { solver: PRESSURE_SOLVERS.RedBlack, tolerance: 0.1, maxIterations: 500 });
+    assert.ok(stats.iterations < 500);
+    assert.ok(stats.residual <= 0.1);
+});
@@ -0,0 +1,95 @@
+// The PNG and zip writers, read back with node's zlib and by hand. See common/png.js and common/zip.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync, inflateSync } from 'node:zlib';
+import { crc32, encodePNG } from '../common/png.js';
+import { zipFiles } from '../common/zip.js';
+
+function readPNG(file) {
+    // { width, height, rgba } back out of what encodePNG wrote, checking each chunk's crc.
+    const bytes = Buffer.from(file);
+    assert.deepEqual([...bytes.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    let width = 0;
+    let height = 0;
+    const data = [];
+    for (let o = 8; o < bytes.length;) {
+        const length = bytes.readUInt32BE(o);
+        const type = bytes.toString('latin1', o + 4, o + 8);
+        const body = bytes.subarray(o + 8, o + 8 + length);
+        assert.equal(bytes.readUInt32BE(o + 8 + length), crc32(bytes.subarray(o + 4, o + 8 + length)), type);
+        if (type === 'IHDR') {
+            width = body.readUInt32BE(0);
+            height = body.readUInt32BE(4);
+        } else if (type === 'IDAT') {
+            data.push(body);
+        }
+        o += 12 + length;
+    }
+    const raw = inflateSync(Buffer.concat(data));
+    const rgba = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        // filter 0 on every row.
+        assert.equal(raw[y * (width * 4 + 1)], 0);
+        rgba.set(raw.subarray(y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1)), y * width * 4);
+    }
+    return { width, height, rgba };
+}
+
+function readZip(file) {
+    // [{ name, data }] from the central directory, checking the crcs.
+    const bytes = Buffer.from(file);
+    const end = bytes.length - 22;
+    assert.equal(bytes.readUInt32LE(end), 0x06054b50);
+    const count = bytes.readUInt16LE(end + 10);
+    const files = [];
+    for (let k = 0, o = bytes.readUInt32LE(end + 16); k < count; k++) {
+        assert.equal(bytes.readUInt32LE(o), 0x02014b50);
+        const crc = bytes.readUInt32LE(o + 16);
+        const size = bytes.readUInt32LE(o + 20);
+        const nameLength = bytes.readUInt16LE(o + 28);
+        const local = bytes.readUInt32LE(o + 42);
+        const name = bytes.toString('utf8', o + 46, o + 46 + nameLength);
+        const start = local + 30 + bytes.readUInt16LE(local + 26) + bytes.readUInt16LE(local + 28);
+        const data = bytes.subarray(start, start + size);
+        assert.equal(crc32(data), crc, name);
+        files.push({ name, data: new Uint8Array(data) });
+        o += 46 + nameLength;
+    }
+    return files;
+}
+
+function gradient(width, height) {
+    const rgba = new Uint8Array(width * height * 4);
+    rgba.forEach((_, k) => rgba[k] = (k * 7) % 256);
+    return rgba;
+}
+
+test('crc32 matches the usual check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('png round trips, stored or deflated', () => {
+    const rgba = gradient(37, 11);
+    [undefined, deflateSync].forEach((deflate) => {
+        const png = readPNG(encodePNG(37, 11, rgba, deflate));
+        assert.equal(png.width, 37);
+        assert.equal(png.height, 11);
+        assert.deepEqual(png.rgba, rgba);
+    });
+});
+
+test('stored png bigger than one deflate block', () => {
+    // 200 x 100 x 4 is well over the 65535 bytes a stored block can hold.
+    const rgba = gradient(200, 100);
+    assert.deepEqual(readPNG(encodePNG(200, 100, rgba)).rgba, rgba);
+});
+
+test('zip round trips', () => {
+    const files = [
+        { name: 'a.png', data: encodePNG(4, 4, gradient(4, 4)) },
+        { name: 'frames/b.txt', data: new TextEncoder().encode('hello') },
+        { name: 'empty', data: new Uint8Array(0) },
+    ];
+    assert.deepEqual(readZip(zipFiles(files)), files);
+});
@@ -0,0 +1,62 @@
+// Pointers going down, moving and coming up between steps, see common/pointers.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pointers } from '../common/pointers.js';
+
+function fakeElement() {
+    // just enough of one for Pointers, with fire(type, event) standing in for the browser.
+    const listeners = {};
+    return {
+        style: {},
+        setPointerCapture() {},
+        addEventListener(type, listener) {
+            listeners[type] = listener;
+        },
+        fire(type, event) {
+            listeners[type]({ pointerId: 1, pointerType: 'mouse', ...event });
+        },
+    };
+}
+
+function stirs(pointers) {
+    const segments = [];
+    pointers.forEachStirring((current, previous) => segments.push([previous.x, current.x]));
+    return segments;
+}
+
+test('a pointer that comes up before the step still stirs the last of its move', () => {
+    const element = fakeElement();
+    const pointers = new Pointers(element);
+    element.fire('pointerdown', { x: 0 });
+    element.fire('pointermove', { x: 5 });
+    assert.deepEqual(stirs(pointers), [[0, 5]]);
+    element.fire('pointermove', { x: 8 });
+    element.fire('pointerup', { x: 9 });
+    assert.deepEqual(stirs(pointers), [[5, 8]]);
+    assert.deepEqual(stirs(pointers), []);
+});
+
+test("a pen's last move keeps its pressure when it comes up", () => {
+    const element = fakeElement();
+    const pointers = new Pointers(element);
+    element.fire('pointerdown', { x: 0, pointerType: 'pen', pressure: 0.3 });
+    element.fire('pointermove', { x: 4, pointerType: 'pen', pressure: 0.4 });
+    element.fire('pointerup', { x: 4, pointerType: 'pen', pressure: 0 });
+    const strengths = [];
+    pointers.forEachStirring((current, previous, strength) => strengths.push(strength));
+    assert.deepEqual(strengths, [0.8]);
+    assert.equal(pointers.active.size, 0);
+});
+
+test('a painting pointer is gone as soon as it comes up', () => {
+    const element = fakeElement();
+    const pointers = new Pointers(element);
+    const painted = [];
+    pointers.onPaint = (e, solid) => painted.push([e.x, solid]);
+    element.fire('pointerdown', { x: 0, shiftKey: true });
+    element.fire('pointermove', { x: 3 });
+    element.fire('pointerup', { x: 3 });
+    assert.deepEqual(painted, [[0, true], [3, true]]);
+    assert.equal(pointers.active.size, 0);
+});
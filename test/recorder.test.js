@@ -0,0 +1,88 @@
+// Recording what the pointer did and playing it back on the cpu solver, see common/recorder.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { Obstacles } from '../common/obstacles.js';
+import { Recorder, Replay } from '../common/recorder.js';
+import { addSample, toSample } from '../common/script.js';
+
+const OPTIONS = { sourceDensity: 12, mouseForce: 15, brush: {} };
+const DT = 1 / 60;
+const STEPS = 60;
+
+function scene() {
+    const solver = new FluidSolver({ size: 32 });
+    return { solver, obstacles: new Obstacles(solver.size) };
+}
+
+function paint({ solver, obstacles }, recorder, step, i, j, radius) {
+    // what paint() on the pages does.
+    obstacles.paint(i, j, radius, true);
+    solver.setObstacles(obstacles.mask);
+    const { n } = solver;
+    recorder?.record(step, { type: 'paint', x: (i - 1) / n, y: (j - 1) / n, radius: radius / n, solid: true });
+}
+
+function live() {
+    // a made up pointer going round in a circle, and an obstacle drawn part way through.
+    const current = scene();
+    const { solver } = current;
+    const recorder = new Recorder();
+    recorder.start();
+    let previous = [16, 8];
+    for (let step = 0; step < STEPS; step++) {
+        if (step === 20) {
+            paint(current, recorder, step, 24, 20, 2);
+        }
+        if (step < 40) {
+            const angle = step / 6;
+            const cell = [16 + Math.round(8 * Math.sin(angle)), 16 - Math.round(8 * Math.cos(angle))];
+            const [dx, dy] = [cell[0] - previous[0], cell[1] - previous[1]];
+            solver.addMouseDensityForces(OPTIONS.sourceDensity, cell, dx, dy, OPTIONS.mouseForce);
+            recorder.record(step, { type: 'force', ...toSample(solver, cell, dx, dy, DT, OPTIONS.sourceDensity, OPTIONS.mouseForce) });
+            previous = cell;
+        }
+        solver.step(DT);
+    }
+    recorder.stop();
+    return { solver, recording: JSON.parse(JSON.stringify(recorder)) };
+}
+
+function replay(recording) {
+    // what replayEvents on the pages does, from a reset.
+    const current = scene();
+    const { solver } = current;
+    const events = new Replay(recording);
+    for (let step = 0; step < STEPS; step++) {
+        events.eventsAt(step).forEach((event) => {
+            if (event.type === 'paint') {
+                paint(current, null, step, 1 + event.x * solver.n, 1 + event.y * solver.n, event.radius * solver.n);
+            } else {
+                addSample(solver, event, DT, OPTIONS);
+            }
+        });
+        solver.step(DT);
+    }
+    assert.ok(events.done);
+    return solver;
+}
+
+test('replaying a recording gives the same fields as the live run', () => {
+    const { solver, recording } = live();
+    assert.equal(recording.events.filter(e => e.type === 'paint').length, 1);
+    const replayed = replay(recording);
+    assert.ok(solver.totalDensity() > 0);
+    assert.deepEqual(replayed.obstacles, solver.obstacles);
+    ['x', 'u', 'v', 'r', 'g', 'b'].forEach(name => assert.deepEqual(replayed.fields[name], solver.fields[name], name));
+});
+
+test('events come back in step order, only on their own step', () => {
+    const replay = new Replay({ events: [{ step: 3, id: 'b' }, { step: 1, id: 'a' }, { step: 3, id: 'c' }] });
+    assert.deepEqual(replay.eventsAt(0), []);
+    assert.deepEqual(replay.eventsAt(1).map(e => e.id), ['a']);
+    assert.deepEqual(replay.eventsAt(2), []);
+    assert.deepEqual(replay.eventsAt(3).map(e => e.id), ['b', 'c']);
+    assert.ok(replay.done);
+    assert.throws(() => new Replay({}));
+});
@@ -0,0 +1,46 @@
+// Seeded and looping timelines for MouseAuto, played on the cpu solver, see common/script.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+import { mulberry32, randomTimeline, samplesBetween, playTimeline } from '../common/script.js';
+
+const OPTIONS = { sourceDensity: 12, mouseForce: 15, brush: {} };
+
+function run(timeline, steps = 90) {
+    // what a page in MouseAuto mode does, by clock time.
+    const solver = new FluidSolver({ size: 32 });
+    const dt = 1 / 60;
+    for (let k = 0; k < steps; k++) {
+        playTimeline(solver, timeline, k * dt, dt, OPTIONS);
+        solver.step(dt);
+    }
+    return solver;
+}
+
+test('mulberry32 gives the same numbers for the same seed', () => {
+    const a = mulberry32(42);
+    const b = mulberry32(42);
+    const c = mulberry32(43);
+    const first = Array.from({ length: 5 }, a);
+    assert.deepEqual(Array.from({ length: 5 }, b), first);
+    assert.notDeepEqual(Array.from({ length: 5 }, c), first);
+    first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('the same seed gives the same run', () => {
+    const options = { seed: 7, strokes: 6, duration: 1.5 };
+    assert.deepEqual(randomTimeline(options), randomTimeline(options));
+    const a = run(randomTimeline(options));
+    const b = run(randomTimeline(options));
+    assert.ok(a.totalDensity() > 0);
+    ['x', 'u', 'v', 'r', 'g', 'b'].forEach(name => assert.deepEqual(a.fields[name], b.fields[name], name));
+    assert.notDeepEqual(run(randomTimeline({ ...options, seed: 8 })).fields.x, a.fields.x);
+});
+
+test('a looping timeline wraps around', () => {
+    const timeline = { duration: 1, loop: true, samples: [{ time: 0.1 }, { time: 0.5 }, { time: 0.95 }] };
+    assert.deepEqual(samplesBetween(timeline, 2.4, 2.6), [{ time: 0.5 }]);
+    assert.deepEqual(samplesBetween(timeline, 2.9, 3.2), [{ time: 0.95 }, { time: 0.1 }]);
+    assert.deepEqual(samplesBetween({ ...timeline, loop: false }, 2.9, 3.2), []);
+});
@@ -0,0 +1,76 @@
+// Settings from the query string and presets, see common/settings.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Settings, loadSettings, parseQuery } from '../common/settings.js';
+
+const MODES = {
+    Fan: 0,
+    Mouse: 1,
+};
+
+const DEFAULTS = {
+    n: 128,
+    mode: MODES.Fan,
+    vizBoundary: true,
+    advection: 'semiLagrangian',
+    pressure: {
+        solver: 'jacobi',
+        tolerance: 0,
+    },
+    edges: {
+        left: 0,
+    },
+    emitters: [],
+};
+
+test('query values take their type from the defaults', () => {
+    const overrides = parseQuery('?n=256&vizBoundary=false&advection=bfecc', DEFAULTS);
+    assert.deepEqual(overrides, { n: 256, vizBoundary: false, advection: 'bfecc' });
+});
+
+test('nested keys and JSON', () => {
+    const overrides = parseQuery('?pressure.tolerance=0.01&edges.right={"type":3,"u":1}&emitters=[{"type":"point"}]', DEFAULTS);
+    assert.deepEqual(overrides, {
+        pressure: { tolerance: 0.01 },
+        edges: { right: { type: 3, u: 1 } },
+        emitters: [{ type: 'point' }],
+    });
+});
+
+test('enums by name or number', () => {
+    assert.deepEqual(parseQuery('?mode=mouse', DEFAULTS, { mode: MODES }), { mode: MODES.Mouse });
+    assert.deepEqual(parseQuery('?mode=1', DEFAULTS, { mode: MODES }), { mode: MODES.Mouse });
+    assert.throws(() => parseQuery('?mode=sideways', DEFAULTS, { mode: MODES }));
+    assert.throws(() => parseQuery('?mode=', DEFAULTS, { mode: MODES }));
+    assert.throws(() => parseQuery('?mode=%20', DEFAULTS, { mode: MODES }));
+    assert.throws(() => parseQuery('?mode=7', DEFAULTS, { mode: MODES }));
+});
+
+test('bad numbers throw and unknown keys are ignored', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.throws(() => parseQuery('?n=lots', DEFAULTS));
+    assert.deepEqual(parseQuery('?nope=1', DEFAULTS), {});
+});
+
+test('the query goes on top of the preset for the mode', async () => {
+    const presets = { [MODES.Mouse]: { n: 64 } };
+    const settings = await loadSettings(DEFAULTS, {
+        presets,
+        enums: { mode: MODES },
+        search: '?mode=mouse&pressure.tolerance=0.5',
+    });
+    assert.equal(settings.values.mode, MODES.Mouse);
+    assert.equal(settings.values.n, 64);
+    assert.deepEqual(settings.values.pressure, { solver: 'jacobi', tolerance: 0.5 });
+});
+
+test('set only passes on what changed', () => {
+    const settings = new Settings(DEFAULTS);
+    const seen = [];
+    settings.onChange(changed => seen.push(changed));
+    settings.set({ n: 128 });
+    settings.setValue('pressure.tolerance', 0.1);
+    assert.deepEqual(seen, [{ pressure: { solver: 'jacobi', tolerance: 0.1 } }]);
+    assert.equal(settings.get('pressure.tolerance'), 0.1);
+});
@@ -0,0 +1,71 @@
+// The cpu solver on its own, with no document or canvas, see 2d-canvas/solver.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FluidSolver } from '../2d-canvas/solver.js';
+
+function total(solver) {
+    // the density over the non-boundary cells.
+    let sum = 0;
+    for (let j = 1; j <= solver.n; j++) {
+        for (let i = 1; i <= solver.n; i++) {
+            sum += solver.density[solver.IX(i, j)];
+        }
+    }
+    return sum;
+}
+
+function centreX(solver) {
+    // how far along i the density is, on average.
+    let sum = 0;
+    for (let j = 1; j <= solver.n; j++) {
+        for (let i = 1; i <= solver.n; i++) {
+            sum += i * solver.density[solver.IX(i, j)];
+        }
+    }
+    return sum / total(solver);
+}
+
+test('steps headlessly', () => {
+    const solver = new FluidSolver({ size: 16 });
+    solver.addDensity(8, 8, 10);
+    solver.addVelocity(8, 8, 1, 0);
+    solver.step(1 / 60);
+    assert.equal(solver.density.length, 18 * 18);
+    assert.ok(solver.density.every(Number.isFinite));
+    assert.ok(solver.velocity.u.every(Number.isFinite));
+});
+
+test('density stays put when nothing moves it', () => {
+    const solver = new FluidSolver({ size: 16 });
+    solver.addDensity(5, 9, 10);
+    for (let k = 0; k < 10; k++) {
+        solver.step(1 / 60);
+    }
+    assert.ok(Math.abs(solver.density[solver.IX(5, 9)] - 10) < 1e-4);
+    assert.ok(Math.abs(total(solver) - 10) < 1e-3);
+});
+
+test('a push to the right carries the density right', () => {
+    const solver = new FluidSolver({ size: 32 });
+    for (let j = 12; j <= 20; j++) {
+        solver.addDensity(10, j, 10);
+        for (let i = 6; i <= 26; i++) {
+            solver.addVelocity(i, j, 2, 0);
+        }
+    }
+    const before = centreX(solver);
+    for (let k = 0; k < 10; k++) {
+        solver.step(1 / 60);
+    }
+    assert.ok(centreX(solver) > before + 1, `${before} to ${centreX(solver)}`);
+});
+
+test('reset clears every field', () => {
+    const solver = new FluidSolver({ size: 16 });
+    solver.addDensity(8, 8, 10);
+    solver.addVelocity(8, 8, 1, 1);
+    solver.step(1 / 60);
+    solver.reset();
+    Object.values(solver.fields).forEach(field => assert.ok(field.every(value => value === 0)));
+});